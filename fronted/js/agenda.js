@@ -0,0 +1,1514 @@
+/**
+ * AGENDA
+ * Coordina la fuente de datos, el almacén de estado y las acciones del usuario
+ */
+
+import { DEFAULT_PHONE_COUNTRY } from './config.js';
+import { Utils, SafeHtml, html } from './utils.js';
+import { Validator, ContactSchema } from './validation.js';
+import { ContactModel, ContactDiff, DuplicateDetector, ContactTags, ContactSorter, ContactExtrasStore } from './contacts.js';
+import { NetworkError, TimeoutError, OfflineStore, AutoRefresher, RequestCancelledError, DataSourceManager, HttpError, SessionExpiredError } from './api.js';
+import { AuthManager } from './auth.js';
+import { ContactExporter, ImportManager } from './files.js';
+import { AgendaState, CommandHistory } from './state.js';
+import { Router } from './router.js';
+import { I18n, t } from './i18n.js';
+import { MessageHandler, UIManager, dom } from './ui.js';
+
+/**
+ * CLASE PRINCIPAL - AGENDA
+ */
+export class Agenda {
+    constructor() {
+        this.store = AgendaState.createStore({ sortBy: ContactSorter.loadPreference() });
+        this.editingId = null;
+        this.settings = DataSourceManager.loadSettings();
+        // Sesión del usuario si la configuración pide iniciar sesión
+        this.session = AuthManager.loadSession(this.settings);
+        this.sessionTimer = null;
+        // Página a la que volver después de iniciar sesión
+        this.returnPath = null;
+        this.dataSource = this.createDataSource();
+        this.extrasStore = new ContactExtrasStore(this.getSourceKey());
+        this.offlineStore = new OfflineStore();
+        this.isSyncing = false;
+        this.importer = new ImportManager(this);
+        this.duplicateGroups = [];
+        this.history = new CommandHistory();
+        this.isReplaying = false;
+        this.router = new Router(route => this.handleRoute(route));
+        UIManager.connect(this.store);
+        // Las vistas de detalle y edición dependen de los contactos cargados y del idioma
+        this.store.select(state => [state.contacts, state.outbox, state.hasLoaded, state.locale], () => this.renderRoute());
+        this.initializeEventListeners();
+        UIManager.renderLanguageOptions();
+        UIManager.renderSettings(this.settings);
+        UIManager.renderUserMenu(this.session ? this.session.user : null);
+        this.scheduleSessionExpiry();
+        this.renderHistory();
+        this.router.resolve();
+        this.loadContacts();
+        this.setupAutoRefresh();
+    }
+
+    /**
+     * Accesos de solo lectura al estado; los cambios pasan por this.store
+     */
+    get contacts() { return this.store.getState().contacts; }
+    get outbox() { return this.store.getState().outbox; }
+    get problems() { return this.store.getState().problems; }
+    get searchQuery() { return this.store.getState().searchQuery; }
+    get activeTags() { return this.store.getState().activeTags; }
+    get favoritesOnly() { return this.store.getState().favoritesOnly; }
+    get sortBy() { return this.store.getState().sortBy; }
+    get hasLoaded() { return this.store.getState().hasLoaded; }
+    get isLoading() { return this.store.getState().loadStatus !== 'idle'; }
+
+    /**
+     * Sustituye los contactos cargados; changedIds marca las tarjetas a resaltar
+     */
+    setContacts(contacts, changedIds = new Set()) {
+        this.store.setState({ contacts, changedIds });
+    }
+
+    /**
+     * Inicializa los event listeners
+     */
+    initializeEventListeners() {
+        if (dom.contactForm) {
+            dom.contactForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        }
+
+        if (dom.loginForm) {
+            dom.loginForm.addEventListener('submit', (e) => this.handleLoginSubmit(e));
+        }
+
+        if (dom.userMenu) {
+            dom.userMenu.querySelector('#user-menu-btn').addEventListener('click', () => UIManager.toggleUserMenu());
+
+            document.addEventListener('click', (e) => {
+                if (!e.target.closest('.user-menu')) {
+                    UIManager.toggleUserMenu(false);
+                }
+            });
+        }
+        
+        if (dom.refreshBtn) {
+            dom.refreshBtn.addEventListener('click', () => this.refreshContacts());
+        }
+
+        if (dom.exportBtn) {
+            dom.exportBtn.addEventListener('click', () => UIManager.toggleExportMenu());
+            
+            dom.exportMenu.querySelectorAll('[data-format]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const scope = dom.exportMenu.querySelector('input[name="exportScope"]:checked');
+                    this.exportContacts(button.dataset.format, scope ? scope.value : 'all');
+                    UIManager.toggleExportMenu(false);
+                });
+            });
+
+            // Cerrar el menú al hacer clic fuera
+            document.addEventListener('click', (e) => {
+                if (!e.target.closest('.export-menu')) {
+                    UIManager.toggleExportMenu(false);
+                }
+            });
+        }
+
+        if (dom.cancelEditBtn) {
+            dom.cancelEditBtn.addEventListener('click', () => {
+                this.cancelEdit();
+                this.router.navigate('/contacts');
+            });
+        }
+
+        if (dom.contactForm) {
+            UIManager.resetContactFormRows();
+            dom.contactForm.addEventListener('reset', () => {
+                UIManager.clearFieldErrors();
+                UIManager.resetContactFormRows();
+            });
+
+            // Filas dinámicas de teléfonos y correos
+            dom.contactForm.addEventListener('click', (e) => {
+                if (e.target.closest('#add-phone-btn')) {
+                    UIManager.addPhoneRow();
+                } else if (e.target.closest('#add-email-btn')) {
+                    UIManager.addEmailRow();
+                } else if (e.target.closest('.btn-remove-row')) {
+                    const row = e.target.closest('.form-row');
+                    UIManager.clearFieldError(row.querySelector('input'));
+                    row.remove();
+                }
+            });
+
+            dom.contactForm.addEventListener('change', (e) => {
+                if (e.target.name === 'pais') {
+                    UIManager.updatePhonePlaceholder(e.target.closest('.phone-row'));
+                }
+            });
+        }
+
+        if (dom.duplicatesPanel) {
+            dom.duplicatesPanel.querySelector('#find-duplicates-btn')
+                .addEventListener('click', () => this.findDuplicates());
+
+            dom.duplicatesPanel.addEventListener('click', (e) => {
+                const mergeBtn = e.target.closest('[data-merge-group]');
+                if (!mergeBtn) return;
+
+                const groupIndex = Number(mergeBtn.dataset.mergeGroup);
+                const primary = dom.duplicatesPanel.querySelector(`input[name="primary-${groupIndex}"]:checked`);
+                if (primary) {
+                    this.mergeDuplicateGroup(groupIndex, primary.value);
+                }
+            });
+        }
+
+        if (dom.tagFilter) {
+            dom.tagFilter.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (chip) this.toggleFilter(chip.dataset.tag);
+            });
+        }
+
+        // Las etiquetas de una tarjeta filtran la lista por esa etiqueta
+        if (dom.contactsContainer) {
+            dom.contactsContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('.tag-chip[data-tag]');
+                if (chip) this.toggleFilter(chip.dataset.tag);
+            });
+        }
+
+        // Botones generados por UIManager: un solo listener en lugar de onclick en línea
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-action]');
+            if (trigger) {
+                this.handleAction(trigger.dataset.action, trigger);
+            }
+        });
+
+        if (dom.historyPanel) {
+            dom.historyPanel.querySelector('#undo-btn').addEventListener('click', () => this.undo());
+            dom.historyPanel.querySelector('#redo-btn').addEventListener('click', () => this.redo());
+        }
+
+        // Deshacer y rehacer con el teclado, salvo dentro de los campos de texto
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Atajos de una tecla: "/" busca y "n" abre el alta; no se aplican al escribir
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            if (e.key === '/') {
+                e.preventDefault();
+                this.focusSearch();
+            } else if (e.key.toLowerCase() === 'n') {
+                e.preventDefault();
+                this.router.navigate('/new');
+            }
+        });
+
+        if (dom.sortSelect) {
+            dom.sortSelect.value = this.sortBy;
+            dom.sortSelect.addEventListener('change', (e) => this.setSortOrder(e.target.value));
+        }
+
+        if (dom.languageSelect) {
+            dom.languageSelect.addEventListener('change', (e) => this.setLocale(e.target.value));
+        }
+
+        if (dom.settingsForm) {
+            dom.settingsForm.addEventListener('submit', (e) => this.handleSettingsSubmit(e));
+            dom.settingsForm.elements.dataSource.addEventListener('change', (e) => {
+                UIManager.toggleRestUrlField(e.target.value);
+            });
+            dom.settingsForm.elements.auth.addEventListener('change', (e) => {
+                UIManager.toggleAuthUrlField(e.target.value);
+            });
+        }
+        
+        // Validación en tiempo real
+        if (dom.contactForm) {
+            dom.contactForm.addEventListener('input', (e) => {
+                this.clearMessages();
+                UIManager.clearFieldError(e.target);
+            });
+        }
+    }
+
+    /**
+     * Configura la actualización automática con el intervalo elegido
+     */
+    setupAutoRefresh() {
+        this.autoRefresh = new AutoRefresher(
+            () => this.pollContacts(),
+            this.settings.refreshInterval,
+            (delay) => UIManager.showRefreshNotice(t('refresh.retrying', { seconds: Math.round(delay / 1000) }))
+        );
+        this.autoRefresh.schedule();
+    }
+
+    /**
+     * Consulta periódica: recarga en silencio y avisa de los cambios
+     */
+    async pollContacts() {
+        // Una carga en curso cuenta como consulta correcta; sin sesión no hay
+        // nada que consultar y no debe contar como fallo
+        if (this.isLoading || this.isReplaying || this.requiresLogin()) return true;
+        return this.loadContacts(true, { announce: true });
+    }
+
+    /**
+     * Lleva el foco al buscador, volviendo antes a la lista si hace falta
+     */
+    focusSearch() {
+        const input = document.getElementById('search-input');
+        if (!input) return;
+
+        if (this.router.current && this.router.current.name === 'contacts') {
+            input.focus();
+            input.select();
+            return;
+        }
+
+        // El enrutador muestra la lista en el mismo evento, antes que este listener
+        window.addEventListener('hashchange', () => input.focus(), { once: true });
+        this.router.navigate('/contacts');
+    }
+
+    /**
+     * Limpia los mensajes de error/éxito
+     */
+    clearMessages() {
+        MessageHandler.clear();
+    }
+
+    /**
+     * Maneja el envío del formulario
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isLoading || !dom.contactForm) return;
+        
+        const contactData = this.readContactForm();
+
+        // Validación
+        const validation = Validator.validateContact(contactData);
+        if (!validation.isValid) {
+            // Cada error va junto a su campo; el mensaje solo resume
+            const unplaced = UIManager.showFieldErrors(validation.fieldErrors);
+            MessageHandler.showError(SafeHtml.join([t('validation.summary', { count: validation.errors.length }), ...unplaced], html`<br>`));
+            return;
+        }
+
+        // Sanitizar datos
+        const cleanData = Validator.sanitizeContact(contactData);
+
+        // Avisar si ya existe un contacto parecido
+        const matches = DuplicateDetector.findMatches(cleanData, this.getDisplayContacts(), this.editingId);
+        if (matches.length > 0 && !this.confirmDuplicate(cleanData, matches)) {
+            MessageHandler.showWarning(t('duplicates.saveCancelled'));
+            return;
+        }
+
+        // Deshabilitar formulario durante el envío
+        this.toggleFormState(true);
+
+        try {
+            if (this.editingId !== null) {
+                await this.updateContact(this.editingId, cleanData);
+            } else {
+                await this.addContact(cleanData);
+            }
+        } finally {
+            this.toggleFormState(false);
+        }
+    }
+
+    /**
+     * Lee los datos del formulario, incluidos teléfonos y correos múltiples
+     */
+    readContactForm() {
+        const formData = new FormData(dom.contactForm);
+        const labels = formData.getAll('etiqueta');
+        const countries = formData.getAll('pais');
+
+        // El primer teléfono es obligatorio; las filas extra vacías se ignoran
+        const telefonos = formData.getAll('telefono')
+            .map((numero, index) => ({
+                etiqueta: labels[index] || 'movil',
+                pais: countries[index] || DEFAULT_PHONE_COUNTRY,
+                numero: (numero || '').trim()
+            }))
+            .filter((phone, index) => index === 0 || phone.numero);
+
+        return {
+            nombre: (formData.get('nombre') || '').trim(),
+            apellido: (formData.get('apellido') || '').trim(),
+            telefonos,
+            emails: formData.getAll('email').map(email => email.trim()).filter(Boolean),
+            direccion: (formData.get('direccion') || '').trim(),
+            notas: (formData.get('notas') || '').trim(),
+            cumpleanos: formData.get('cumpleanos') || '',
+            etiquetas: ContactTags.parse(formData.get('etiquetas')),
+            favorito: formData.get('favorito') === 'on'
+        };
+    }
+
+    /**
+     * Pide confirmación para guardar un contacto que parece duplicado
+     */
+    confirmDuplicate(contactData, matches) {
+        const lines = matches
+            .slice(0, 5)
+            .map(match => `• ${match.contact.nombre || ''} ${match.contact.apellido || ''} (${Utils.formatPhone(match.contact.telefono || '')}) - ${match.reason}`);
+
+        return window.confirm(
+            t('duplicates.confirm', { name: `${contactData.nombre} ${contactData.apellido}`, matches: lines.join('\n') })
+        );
+    }
+
+    /**
+     * Habilita/deshabilita el formulario
+     */
+    toggleFormState(disabled) {
+        if (!dom.contactForm) return;
+        
+        const inputs = dom.contactForm.querySelectorAll('input, select, textarea, button');
+        const submitBtn = dom.contactForm.querySelector('button[type="submit"]');
+        
+        inputs.forEach(input => {
+            input.disabled = disabled;
+        });
+        
+        if (submitBtn) {
+            submitBtn.textContent = disabled ? t('form.submit.saving') : UIManager.getSubmitLabel(this.editingId !== null);
+            submitBtn.disabled = disabled;
+        }
+    }
+
+    /**
+     * Busca un contacto cargado por su identificador
+     */
+    findContact(id) {
+        return this.contacts.find(contact => Utils.getContactId(contact) === id) || null;
+    }
+
+    /**
+     * Activa el modo edición del formulario con los datos del contacto
+     */
+    startEdit(id) {
+        this.router.navigate(`/contacts/${encodeURIComponent(id)}/edit`);
+    }
+
+    /**
+     * Rellena el formulario con el contacto de la ruta de edición
+     */
+    openEditor(id) {
+        const contact = this.findContact(id);
+        if (!contact || !dom.contactForm) return;
+
+        this.editingId = id;
+        UIManager.fillContactForm(contact);
+        UIManager.setFormMode(true);
+        this.clearMessages();
+        dom.contactForm.elements.nombre.focus();
+    }
+
+    /**
+     * Sale del modo edición y limpia el formulario
+     */
+    cancelEdit() {
+        this.editingId = null;
+
+        if (dom.contactForm) {
+            dom.contactForm.reset();
+        }
+
+        UIManager.setFormMode(false);
+    }
+
+    /**
+     * Muestra la vista de la ruta activa
+     */
+    handleRoute(route) {
+        // Sin sesión solo se abren las rutas públicas; las demás esperan al inicio de sesión
+        if (this.requiresLogin() && !route.public) {
+            this.returnPath = route.path;
+            this.router.navigate('/login', { replace: true });
+            return;
+        }
+
+        if (route.name === 'login' && !this.requiresLogin()) {
+            this.router.navigate(Router.DEFAULT_PATH, { replace: true });
+            return;
+        }
+
+        // Al salir del formulario de edición se descartan los cambios
+        if (this.editingId !== null && (route.name !== 'edit' || route.params.id !== this.editingId)) {
+            this.cancelEdit();
+        }
+
+        UIManager.showView(route.name);
+
+        if (route.name === 'new' && dom.contactForm) {
+            dom.contactForm.elements.nombre.focus();
+        } else if (route.name === 'login' && dom.loginForm) {
+            dom.loginForm.elements.usuario.focus();
+        }
+
+        this.renderRoute();
+    }
+
+    /**
+     * Completa las vistas que dependen de los contactos cargados
+     */
+    renderRoute() {
+        const route = this.router.current;
+        if (!route) return;
+
+        if (route.name === 'login') {
+            UIManager.renderLoginHelp(this.settings);
+        } else if (route.name === 'detail') {
+            UIManager.renderContactDetail(this.findContact(route.params.id), !this.hasLoaded);
+        } else if (route.name === 'edit' && this.editingId !== route.params.id && this.hasLoaded) {
+            if (this.findContact(route.params.id)) {
+                this.openEditor(route.params.id);
+            } else {
+                MessageHandler.showWarning(t('form.editMissing'));
+                this.router.navigate('/contacts', { replace: true });
+            }
+        }
+    }
+
+    /**
+     * Refresh manual de contactos
+     */
+    async refreshContacts() {
+        MessageHandler.showInfo(t('contacts.refreshing'));
+        await this.loadContacts();
+    }
+
+    /**
+     * Carga los contactos desde la API. Devuelve false si no se pudo
+     * obtener la lista de la fuente. Con announce se avisa de los cambios.
+     */
+    async loadContacts(silent = false, { announce = false } = {}) {
+        // Sin sesión no hay agenda que cargar
+        if (this.requiresLogin()) return false;
+
+        // Las recargas silenciosas no interrumpen una carga en curso;
+        // las explícitas cancelan la anterior
+        if (this.isLoading && silent) return false;
+        
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.store.setState({ loadStatus: silent ? 'refreshing' : 'loading' });
+        // La bandeja de salida se publica junto con el resultado de la carga
+        let outbox = this.outbox;
+        
+        try {
+            outbox = await this.offlineStore.getOutbox(this.getSourceKey());
+
+            // Sin conexión no tiene sentido esperar a la API
+            if (!navigator.onLine) {
+                await this.loadCachedContacts(outbox);
+                return false;
+            }
+            
+            const data = await this.dataSource.list({ signal: controller.signal });
+            if (controller.signal.aborted) return false;
+            
+            const previous = this.contacts;
+            const firstLoad = !this.hasLoaded;
+            const { contacts, problems } = this.prepareContacts(data);
+            this.offlineStore.saveContacts(this.getSourceKey(), contacts);
+            
+            // Solo se repintan las tarjetas que cambiaron
+            const changes = ContactDiff.compare(previous, contacts);
+            this.store.setState({
+                contacts,
+                changedIds: firstLoad ? new Set() : changes.changedIds,
+                outbox,
+                problems,
+                hasLoaded: true,
+                loadError: null
+            });
+            
+            if (announce && !firstLoad && changes.hasChanges) {
+                UIManager.showRefreshNotice(ContactDiff.describe(changes));
+            }
+            
+            if (!silent && this.problems.length > 0) {
+                MessageHandler.showWarning(t('contacts.loadedWithProblems', { count: this.contacts.length, problems: this.problems.length }));
+            } else if (!silent && this.contacts.length > 0) {
+                MessageHandler.showSuccess(t('contacts.loaded', { count: this.contacts.length }));
+            }
+
+            return true;
+            
+        } catch (error) {
+            // Otra carga más reciente la sustituyó
+            if (error instanceof RequestCancelledError || controller.signal.aborted) {
+                return false;
+            }
+
+            console.error('Error al cargar contactos:', error);
+            
+            // Sin conexión o servidor inaccesible: mostrar la última copia guardada
+            if (!navigator.onLine || error instanceof NetworkError) {
+                await this.loadCachedContacts(outbox);
+                return false;
+            }
+
+            // En segundo plano se conserva la lista actual y se reintenta más tarde
+            if (silent && this.hasLoaded) {
+                this.store.setState({ outbox });
+                return false;
+            }
+            
+            this.store.setState({ outbox, loadError: error });
+            MessageHandler.showRequestError(error, t('action.loadList'));
+            return false;
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.store.setState({ loadStatus: 'idle' });
+            }
+        }
+    }
+
+    /**
+     * Normaliza los registros recibidos, aparta los que no cumplen el esquema
+     * y completa el resto con los campos extendidos
+     */
+    prepareContacts(data) {
+        const { contacts: valid, problems } = ContactSchema.normalizeList(data);
+        
+        if (problems.length > 0) {
+            console.warn(`${problems.length} registros apartados por no cumplir el esquema:`, problems);
+        }
+
+        // Los extras se buscan por id: primero hay que dar uno a los que no lo traen
+        const identified = ContactModel.withLocalIds(valid);
+        const contacts = this.dataSource.supportsExtendedFields ? identified : this.extrasStore.apply(identified);
+        return { contacts: contacts.map(contact => ContactModel.withDefaults(contact)), problems };
+    }
+
+    /**
+     * Muestra los contactos guardados localmente cuando no hay conexión
+     */
+    async loadCachedContacts(outbox = this.outbox) {
+        const snapshot = await this.offlineStore.getContacts(this.getSourceKey());
+
+        if (!snapshot) {
+            // Los pendientes de enviar se siguen mostrando aunque no haya copia
+            this.store.setState({
+                contacts: [],
+                changedIds: new Set(),
+                outbox,
+                loadError: outbox.length > 0 ? null : new Error(t('offline.noCache'))
+            });
+            MessageHandler.showWarning(t('offline.title'));
+            return false;
+        }
+
+        this.store.setState({ contacts: ContactModel.withLocalIds(snapshot.contacts), changedIds: new Set(), outbox, hasLoaded: true, loadError: null });
+
+        const savedAt = I18n.formatDateTime(new Date(snapshot.updatedAt));
+        MessageHandler.showWarning(t('offline.showingCache', { date: savedAt }));
+        return true;
+    }
+
+    /**
+     * Clave de la fuente activa para la caché y la bandeja de salida
+     */
+    getSourceKey() {
+        return DataSourceManager.getKey(this.settings, this.session ? this.session.user : null);
+    }
+
+    /**
+     * Fuente de la configuración para el usuario de la sesión. Si la API es
+     * del servicio de sesiones, sus peticiones llevan el token y un 401 cierra
+     * la sesión; a otros orígenes el token no se envía.
+     */
+    createDataSource() {
+        const ownsSource = AuthManager.ownsUrl(this.settings, DataSourceManager.getUrl(this.settings));
+
+        return DataSourceManager.create(this.settings, {
+            user: this.session ? this.session.user : null,
+            http: ownsSource ? {
+                getToken: () => (this.session ? this.session.token : null),
+                onUnauthorized: () => this.handleSessionExpired()
+            } : {}
+        });
+    }
+
+    /**
+     * Si hay que iniciar sesión antes de ver la agenda
+     */
+    requiresLogin() {
+        return AuthManager.isEnabled(this.settings) && !this.session;
+    }
+
+    /**
+     * Envía el formulario de inicio de sesión
+     */
+    async handleLoginSubmit(e) {
+        e.preventDefault();
+
+        const form = dom.loginForm;
+        const credentials = {
+            usuario: form.elements.usuario.value.trim(),
+            password: form.elements.password.value
+        };
+
+        if (!credentials.usuario || !credentials.password) {
+            MessageHandler.showError(t('login.missing'));
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const session = await AuthManager.login(this.settings, credentials);
+            form.reset();
+            this.startSession(session);
+        } catch (error) {
+            console.error('Error al iniciar sesión:', error);
+
+            if (error instanceof HttpError && error.status === 401) {
+                MessageHandler.showError(t('login.invalid'));
+                form.elements.password.select();
+            } else {
+                MessageHandler.showRequestError(error, t('action.login'));
+            }
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Abre la agenda del usuario que acaba de iniciar sesión
+     */
+    startSession(session) {
+        this.session = session;
+        AuthManager.saveSession(session);
+        this.resetAgenda();
+        UIManager.renderUserMenu(session.user);
+        this.scheduleSessionExpiry();
+        // La próxima consulta cuenta desde el inicio de sesión
+        this.autoRefresh.setInterval(this.settings.refreshInterval);
+
+        const target = this.returnPath || Router.DEFAULT_PATH;
+        this.returnPath = null;
+        this.router.navigate(target, { replace: true });
+        this.loadContacts();
+    }
+
+    /**
+     * Cierra la sesión a petición del usuario
+     */
+    async logout() {
+        const session = this.session;
+        if (!session) return;
+
+        this.endSession();
+        // Quien cierra la sesión no quiere volver a la misma página
+        this.returnPath = null;
+        MessageHandler.showInfo(t('auth.loggedOut'));
+
+        // Aquí la sesión ya está cerrada; revocar el token en el servidor es lo de menos
+        try {
+            await AuthManager.logout(this.settings, session);
+        } catch (error) {
+            console.warn('No se pudo cerrar la sesión en el servidor:', error);
+        }
+    }
+
+    /**
+     * La sesión caducó o el servidor la rechazó: se vuelve al inicio de
+     * sesión recordando la página para volver a ella después
+     */
+    handleSessionExpired() {
+        if (!this.session) return;
+
+        this.endSession();
+        MessageHandler.showWarning(t('auth.expired'));
+    }
+
+    /**
+     * Olvida la sesión y la agenda del usuario; la ruta activa decide si
+     * hay que ir al inicio de sesión
+     */
+    endSession() {
+        this.session = null;
+        AuthManager.clearSession();
+        this.scheduleSessionExpiry();
+        this.resetAgenda();
+        UIManager.renderUserMenu(null);
+        this.router.resolve();
+    }
+
+    /**
+     * Cierra la sesión cuando llega su fecha de caducidad
+     */
+    scheduleSessionExpiry() {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = null;
+
+        if (!this.session || this.session.expiresAt === null) return;
+
+        // setTimeout no admite esperas de más de unos 24 días: se vuelve a programar
+        const delay = Math.min(Math.max(0, this.session.expiresAt - Date.now()), 2 ** 31 - 1);
+        this.sessionTimer = setTimeout(() => {
+            if (AuthManager.isExpired(this.session)) {
+                this.handleSessionExpired();
+            } else {
+                this.scheduleSessionExpiry();
+            }
+        }, delay);
+    }
+
+    /**
+     * Cambia a la agenda del usuario actual (o a ninguna): no queda nada del
+     * anterior ni en pantalla ni en el historial
+     */
+    resetAgenda() {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+
+        this.dataSource = this.createDataSource();
+        this.extrasStore = new ContactExtrasStore(this.getSourceKey());
+        this.history.clear();
+        this.renderHistory();
+        this.cancelEdit();
+        this.duplicateGroups = [];
+        UIManager.clearDuplicateGroups();
+        this.store.setState({ contacts: [], changedIds: new Set(), outbox: [], problems: [], hasLoaded: false, loadError: null });
+    }
+
+    /**
+     * Contactos a mostrar: los cargados más los pendientes de sincronizar
+     */
+    getDisplayContacts() {
+        return AgendaState.displayContacts(this.store.getState());
+    }
+
+    /**
+     * Contactos que pasan la búsqueda y los filtros activos, en el orden elegido
+     */
+    getVisibleContacts() {
+        return AgendaState.visibleContacts(this.store.getState());
+    }
+
+    /**
+     * Ejecuta la acción de un botón marcado con data-action
+     */
+    handleAction(action, trigger) {
+        const id = trigger.dataset.id;
+        const actions = {
+            'reload': () => window.location.reload(),
+            'use-test-data': () => this.useTestData(),
+            'scroll-to-group': () => UIManager.scrollToGroup(trigger.dataset.group),
+            'toggle-details': () => UIManager.toggleCardDetails(trigger),
+            'call': () => Utils.callPhone(trigger.dataset.phone),
+            'copy-link': () => Utils.copyToClipboard(window.location.href),
+            'toggle-favorite': () => this.toggleFavorite(id),
+            'edit': () => this.startEdit(id),
+            'edit-tags': () => this.editTags(id),
+            'delete': () => this.deleteContact(id),
+            'retry-sync': () => this.retryOutboxEntry(id),
+            'logout': () => this.logout(),
+            'discard-sync': () => this.discardOutboxEntry(id)
+        };
+
+        if (actions[action]) {
+            actions[action]();
+        }
+    }
+
+    /**
+     * Muestra el mensaje adecuado cuando falla una escritura
+     */
+    handleWriteError(error, action) {
+        console.error(`Error al escribir el contacto (${action}):`, error);
+
+        // La sesión caducada ya se explicó al volver al inicio de sesión
+        if (error instanceof SessionExpiredError) return;
+
+        MessageHandler.showRequestError(error, t(`write.${action}`));
+    }
+
+    /**
+     * Datos a enviar a la fuente: completos si los admite, si no solo los básicos
+     */
+    toSourcePayload(contactData) {
+        return this.dataSource.supportsExtendedFields ? contactData : ContactModel.toBase(contactData);
+    }
+
+    /**
+     * Crea el contacto en la fuente y guarda aparte los campos extendidos
+     */
+    async createInSource(contactData) {
+        const created = await this.dataSource.create(this.toSourcePayload(contactData));
+        
+        if (!this.dataSource.supportsExtendedFields) {
+            this.extrasStore.save(this.getCreatedId(created, contactData), contactData);
+        }
+        
+        return created;
+    }
+
+    /**
+     * Actualiza el contacto en la fuente y sus campos extendidos
+     */
+    async updateInSource(id, contactData) {
+        const previous = this.findContact(id);
+        const baseChanged = !previous || ContactModel.BASE_FIELDS.some(field =>
+            (previous[field] || '') !== (contactData[field] || '')
+        );
+
+        // Si solo cambian campos extendidos que la fuente no guarda, no hace falta llamarla
+        if (this.dataSource.supportsExtendedFields || baseChanged) {
+            // La fuente no conoce los ids locales: recibe su id o el teléfono
+            await this.dataSource.update(previous ? Utils.getSourceId(previous) : id, this.toSourcePayload(contactData));
+        }
+        
+        // Si cambia el id (el teléfono en las fuentes sin id) los extras pasan al nuevo
+        if (!this.dataSource.supportsExtendedFields) {
+            const newId = this.getIdAfterSave(id, contactData);
+            if (previous) this.extrasStore.remove(previous);
+            this.extrasStore.save(newId, contactData);
+        }
+    }
+
+    /**
+     * Elimina el contacto de la fuente y sus campos extendidos
+     */
+    async removeFromSource(id) {
+        const previous = this.findContact(id);
+        await this.dataSource.remove(previous ? Utils.getSourceId(previous) : id);
+        
+        if (!this.dataSource.supportsExtendedFields && previous) {
+            this.extrasStore.remove(previous);
+        }
+    }
+
+    /**
+     * Agrega un nuevo contacto. En modo silencioso no muestra mensajes
+     * ni recarga la lista, y propaga el error a quien llama.
+     */
+    async addContact(contactData, { silent = false } = {}) {
+        if (!navigator.onLine) {
+            await this.queueContact(contactData, { silent });
+            return true;
+        }
+
+        try {
+            const created = await this.createInSource(contactData);
+            this.recordChange('add', this.getCreatedId(created, contactData), null, contactData);
+
+            if (silent) return true;
+
+            MessageHandler.showUndo(t('contact.added', { name: `${contactData.nombre} ${contactData.apellido}` }), () => this.undo());
+            
+            if (dom.contactForm) {
+                dom.contactForm.reset();
+            }
+            this.router.navigate('/contacts');
+            
+            // Recargar la lista después de un breve delay
+            setTimeout(() => this.loadContacts(true), 1000);
+            return true;
+            
+        } catch (error) {
+            // La conexión se cayó durante el envío: guardar para más tarde
+            if (!navigator.onLine) {
+                await this.queueContact(contactData, { silent });
+                return true;
+            }
+            
+            if (silent) throw error;
+            
+            this.handleWriteError(error, 'add');
+            return false;
+        }
+    }
+
+    /**
+     * Guarda un contacto nuevo en la bandeja de salida
+     */
+    async queueContact(contactData, { silent = false } = {}) {
+        const entry = {
+            id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            source: this.getSourceKey(),
+            action: 'create',
+            payload: contactData,
+            status: 'pending',
+            error: null,
+            createdAt: Date.now()
+        };
+
+        await this.offlineStore.putOutboxEntry(entry);
+        this.store.setState(state => ({ outbox: [...state.outbox, entry] }));
+
+        if (silent) return;
+
+        MessageHandler.showWarning(t('offline.queued', { name: `${contactData.nombre} ${contactData.apellido}` }));
+        
+        if (dom.contactForm) {
+            dom.contactForm.reset();
+        }
+    }
+
+    /**
+     * Reenvía los contactos pendientes de la bandeja de salida
+     */
+    async syncOutbox() {
+        if (this.isSyncing) return;
+        
+        this.isSyncing = true;
+
+        try {
+            const entries = await this.offlineStore.getOutbox(this.getSourceKey());
+            const pending = entries.filter(entry => entry.status === 'pending');
+            let synced = 0;
+
+            for (const entry of pending) {
+                if ((await this.replayOutboxEntry(entry)).synced) {
+                    synced++;
+                }
+            }
+
+            if (synced > 0) {
+                MessageHandler.showSuccess(t('sync.synced', { count: synced }));
+            }
+            if (synced < pending.length) {
+                MessageHandler.showError(t('sync.unsynced', { count: pending.length - synced }));
+            }
+        } finally {
+            this.isSyncing = false;
+        }
+
+        await this.loadContacts(true);
+    }
+
+    /**
+     * Envía una entrada de la bandeja de salida a la fuente de datos.
+     * Devuelve { synced } y, si falló, el mensaje del error. Si falla la red
+     * la entrada sigue pendiente y se reenvía con el próximo evento online.
+     */
+    async replayOutboxEntry(entry) {
+        try {
+            await this.createInSource(entry.payload);
+            await this.offlineStore.deleteOutboxEntry(entry.id);
+            this.store.setState(state => ({ outbox: state.outbox.filter(item => item.id !== entry.id) }));
+            return { synced: true, error: null };
+        } catch (error) {
+            console.error('Error al sincronizar contacto pendiente:', error);
+            
+            const transient = error instanceof NetworkError || error instanceof TimeoutError;
+            const failed = { ...entry, status: transient ? 'pending' : 'failed', error: error.message };
+
+            // Si se descartó mientras tanto no se vuelve a guardar
+            if (this.outbox.some(item => item.id === entry.id)) {
+                await this.offlineStore.putOutboxEntry(failed);
+                this.store.setState(state => ({ outbox: state.outbox.map(item => item.id === entry.id ? failed : item) }));
+            }
+            return { synced: false, error: failed.error };
+        }
+    }
+
+    /**
+     * Reintenta manualmente una entrada fallida
+     */
+    async retryOutboxEntry(id) {
+        const entry = this.outbox.find(item => item.id === id);
+        if (!entry) return;
+
+        if (!navigator.onLine) {
+            MessageHandler.showWarning(t('offline.willRetry'));
+            return;
+        }
+
+        const retry = { ...entry, status: 'pending', error: null };
+        this.store.setState(state => ({ outbox: state.outbox.map(item => item.id === id ? retry : item) }));
+
+        // La entrada puede haber salido de la bandeja mientras tanto: el error es el del intento
+        const result = await this.replayOutboxEntry(retry);
+        if (result.synced) {
+            MessageHandler.showSuccess(t('sync.contactSynced', { name: `${entry.payload.nombre} ${entry.payload.apellido}` }));
+            await this.loadContacts(true);
+        } else {
+            MessageHandler.showError(t('sync.error', { message: result.error }));
+        }
+    }
+
+    /**
+     * Descarta una entrada de la bandeja de salida
+     */
+    async discardOutboxEntry(id) {
+        const entry = this.outbox.find(item => item.id === id);
+        if (!entry) return;
+
+        if (!window.confirm(t('sync.confirmDiscard', { name: `${entry.payload.nombre} ${entry.payload.apellido}` }))) return;
+
+        await this.offlineStore.deleteOutboxEntry(id);
+        this.store.setState(state => ({ outbox: state.outbox.filter(item => item.id !== id) }));
+    }
+
+    /**
+     * Actualiza un contacto existente
+     */
+    async updateContact(id, contactData, { silent = false } = {}) {
+        const previous = this.findContact(id);
+
+        try {
+            await this.updateInSource(id, contactData);
+            
+            if (previous) {
+                this.recordChange('update', this.getIdAfterSave(id, contactData), ContactModel.toData(previous), contactData);
+            }
+
+            if (silent) return true;
+
+            MessageHandler.showUndo(t('contact.updated', { name: `${contactData.nombre} ${contactData.apellido}` }), () => this.undo());
+            this.cancelEdit();
+            this.router.navigate('/contacts');
+            
+            // Recargar la lista para reflejar los cambios
+            setTimeout(() => this.loadContacts(true), 1000);
+            return true;
+            
+        } catch (error) {
+            if (silent) throw error;
+            
+            this.handleWriteError(error, 'update');
+            return false;
+        }
+    }
+
+    /**
+     * Elimina un contacto previa confirmación (sin ella en modo silencioso)
+     */
+    async deleteContact(id, { silent = false } = {}) {
+        const contact = this.findContact(id);
+        if (!contact) return false;
+
+        const fullName = `${contact.nombre || ''} ${contact.apellido || ''}`.trim();
+        if (!silent && !window.confirm(t('contact.confirmDelete', { name: fullName }))) return false;
+
+        try {
+            await this.removeFromSource(id);
+            this.recordChange('delete', id, ContactModel.toData(contact), null);
+
+            if (silent) return true;
+
+            MessageHandler.showUndo(t('contact.deleted', { name: fullName }), () => this.undo());
+            
+            if (this.editingId === id) {
+                this.cancelEdit();
+            }
+
+            // Desde la página del contacto se vuelve a la lista
+            const route = this.router.current;
+            if (route && route.params.id === id) {
+                this.router.navigate('/contacts');
+            }
+            
+            // Quitar la tarjeta de inmediato y sincronizar con la API
+            this.setContacts(this.contacts.filter(item => Utils.getContactId(item) !== id));
+            setTimeout(() => this.loadContacts(true), 1000);
+            return true;
+            
+        } catch (error) {
+            if (silent) throw error;
+            
+            this.handleWriteError(error, 'delete');
+            return false;
+        }
+    }
+
+    /**
+     * Marca o desmarca un contacto como favorito
+     */
+    async toggleFavorite(id) {
+        const contact = this.findContact(id);
+        if (!contact) return;
+
+        await this.saveContactChanges(id, { favorito: !contact.favorito });
+    }
+
+    /**
+     * Pide las etiquetas de un contacto desde su tarjeta
+     */
+    async editTags(id) {
+        const contact = this.findContact(id);
+        if (!contact) return;
+
+        const answer = window.prompt(t('tags.prompt'), (contact.etiquetas || []).join(', '));
+        if (answer === null) return;
+
+        const etiquetas = ContactTags.parse(answer);
+        const validation = Validator.validateContact({ ...contact, etiquetas });
+        if (validation.fieldErrors.etiquetas) {
+            MessageHandler.showError(validation.fieldErrors.etiquetas);
+            return;
+        }
+
+        await this.saveContactChanges(id, { etiquetas });
+    }
+
+    /**
+     * Guarda cambios puntuales de un contacto y actualiza su tarjeta al momento
+     */
+    async saveContactChanges(id, changes) {
+        const contactData = ContactModel.toData({ ...this.findContact(id), ...changes });
+
+        try {
+            await this.updateContact(id, contactData, { silent: true });
+            this.setContacts(this.contacts.map(item => Utils.getContactId(item) === id ? { ...item, ...changes } : item));
+        } catch (error) {
+            this.handleWriteError(error, 'update');
+        }
+    }
+
+    /**
+     * Activa o desactiva un chip de filtro ("favoritos" o una etiqueta)
+     */
+    toggleFilter(tag) {
+        if (tag === undefined) return;
+
+        if (tag === '') {
+            this.store.setState({ activeTags: new Set(), favoritesOnly: false });
+        } else if (tag === ContactTags.FAVORITES) {
+            this.store.setState({ favoritesOnly: !this.favoritesOnly });
+        } else {
+            const key = ContactTags.key(tag);
+            const activeTags = new Set(this.activeTags);
+            const active = [...activeTags].find(item => ContactTags.key(item) === key);
+            
+            if (active) {
+                activeTags.delete(active);
+            } else {
+                activeTags.add(tag);
+            }
+            this.store.setState({ activeTags });
+        }
+    }
+
+    /**
+     * Registra un cambio en el historial. Los contactos que quedan en la
+     * bandeja de salida no se registran: se descartan desde su tarjeta.
+     */
+    recordChange(type, id, before, after) {
+        const name = `${(after || before).nombre || ''} ${(after || before).apellido || ''}`.trim();
+        this.history.record(t(`history.${type}`, { name }), { type, id, before, after });
+        this.renderHistory();
+    }
+
+    /**
+     * Cierra un grupo de cambios del historial y actualiza el panel
+     */
+    endHistoryBatch() {
+        const batch = this.history.endBatch();
+        this.renderHistory();
+        return batch;
+    }
+
+    /**
+     * Id del contacto recién creado; sin id de la fuente, el id local que
+     * recibirá al recargar la lista
+     */
+    getCreatedId(created, contactData) {
+        if (created && typeof created === 'object' && created.id !== undefined) {
+            return String(created.id);
+        }
+        return ContactModel.localIdFor(contactData, new Set(this.contacts.map(contact => Utils.getContactId(contact))));
+    }
+
+    /**
+     * Id que tendrá un contacto tras guardarlo: en las fuentes sin id
+     * depende del teléfono, así que puede cambiar
+     */
+    getIdAfterSave(id, contactData) {
+        const usesIds = this.contacts.some(contact => contact.id !== undefined && contact.id !== null);
+        if (usesIds) return id;
+
+        const previous = this.findContact(id);
+        if (previous && Utils.getSourceId(previous) === Utils.getSourceId(contactData)) return id;
+
+        const otherIds = this.contacts.map(contact => Utils.getContactId(contact)).filter(other => other !== id);
+        return ContactModel.localIdFor(contactData, new Set(otherIds));
+    }
+
+    /**
+     * Aplica un cambio del historial hacia atrás (undo) o hacia delante (redo)
+     */
+    async applyChange(change, direction) {
+        const inverse = { add: 'delete', delete: 'add', update: 'update' };
+        const type = direction === 'redo' ? change.type : inverse[change.type];
+        const contactData = direction === 'redo' ? change.after : change.before;
+
+        if (type === 'add') {
+            const created = await this.createInSource(contactData);
+            change.id = this.getCreatedId(created, contactData);
+        } else if (type === 'delete') {
+            await this.removeFromSource(change.id);
+        } else {
+            await this.updateInSource(change.id, contactData);
+            change.id = this.getIdAfterSave(change.id, contactData);
+        }
+    }
+
+    undo() {
+        return this.replayHistory('undo');
+    }
+
+    redo() {
+        return this.replayHistory('redo');
+    }
+
+    /**
+     * Deshace o rehace la última acción y recarga la lista
+     */
+    async replayHistory(direction) {
+        const undoing = direction === 'undo';
+        if (this.isReplaying || !(undoing ? this.history.canUndo() : this.history.canRedo())) return;
+
+        if (!navigator.onLine) {
+            MessageHandler.showWarning(t(undoing ? 'history.offlineUndo' : 'history.offlineRedo'));
+            return;
+        }
+
+        this.isReplaying = true;
+
+        try {
+            const entry = await this.history[direction]((change, replay) => this.applyChange(change, replay));
+            const label = entry.label;
+
+            if (undoing) {
+                MessageHandler.showAction(t('history.undoneMessage', { label }), t('history.redo'), () => this.redo());
+            } else {
+                MessageHandler.showAction(t('history.redoneMessage', { label }), t('history.undo'), () => this.undo());
+            }
+        } catch (error) {
+            console.error(`Error al ${undoing ? 'deshacer' : 'rehacer'}:`, error);
+            MessageHandler.showError(t(undoing ? 'history.undoFailed' : 'history.redoFailed', { message: error.message }));
+        } finally {
+            this.isReplaying = false;
+            this.renderHistory();
+        }
+
+        await this.loadContacts(true);
+    }
+
+    /**
+     * Pinta el panel de historial
+     */
+    renderHistory() {
+        UIManager.renderHistory(this.history.getEntries(), this.history.canUndo(), this.history.canRedo());
+    }
+
+    /**
+     * Busca grupos de contactos probablemente duplicados y los muestra
+     */
+    findDuplicates() {
+        this.duplicateGroups = DuplicateDetector.findGroups(this.contacts);
+        UIManager.renderDuplicateGroups(this.duplicateGroups);
+    }
+
+    /**
+     * Fusiona un grupo de duplicados en el contacto elegido como principal
+     */
+    async mergeDuplicateGroup(groupIndex, primaryId) {
+        const group = (this.duplicateGroups || [])[groupIndex];
+        if (!group) return;
+
+        const primary = group.find(contact => Utils.getContactId(contact) === primaryId);
+        const others = group.filter(contact => contact !== primary);
+        if (!primary || others.length === 0) {
+            MessageHandler.showWarning(t('duplicates.nothingToMerge'));
+            return;
+        }
+
+        const merged = DuplicateDetector.merge(primary, others);
+        const fullName = `${merged.nombre} ${merged.apellido}`.trim();
+        
+        if (!window.confirm(t('duplicates.confirmMerge', { count: group.length, name: fullName, removed: others.length }))) return;
+
+        // La fusión se deshace de una vez: se agrupan todos sus cambios
+        this.history.beginBatch(t('history.merge', { count: group.length, name: fullName }));
+
+        try {
+            // Primero se eliminan los demás: en las fuentes sin id la API los
+            // reconoce por el teléfono, que el principal puede compartir
+            for (const contact of others) {
+                await this.deleteContact(Utils.getContactId(contact), { silent: true });
+            }
+
+            await this.updateContact(primaryId, ContactModel.toData(merged), { silent: true });
+
+            MessageHandler.showUndo(t('duplicates.merged', { name: fullName }), () => this.undo());
+        } catch (error) {
+            this.handleWriteError(error, 'merge');
+        } finally {
+            this.endHistoryBatch();
+        }
+
+        await this.loadContacts(true);
+        this.findDuplicates();
+    }
+
+    /**
+     * Aplica la fuente de datos elegida en el panel de configuración
+     */
+    handleSettingsSubmit(e) {
+        e.preventDefault();
+
+        const settings = {
+            dataSource: dom.settingsForm.elements.dataSource.value,
+            restUrl: dom.settingsForm.elements.restUrl.value.trim(),
+            refreshInterval: Number(dom.settingsForm.elements.refreshInterval.value),
+            auth: dom.settingsForm.elements.auth.value,
+            authUrl: dom.settingsForm.elements.authUrl.value.trim()
+        };
+
+        if (settings.dataSource === 'rest' && !Utils.isValidUrl(settings.restUrl)) {
+            MessageHandler.showError(t('settings.invalidUrl'));
+            return;
+        }
+
+        if (settings.auth === 'remote' && !Utils.isValidUrl(settings.authUrl)) {
+            MessageHandler.showError(t('settings.invalidAuthUrl'));
+            return;
+        }
+
+        this.autoRefresh.setInterval(settings.refreshInterval);
+        const authChanged = AuthManager.getKey(settings) !== AuthManager.getKey(this.settings);
+
+        // Cambiar solo el intervalo no obliga a recargar la fuente
+        if (!authChanged && DataSourceManager.getKey(settings) === DataSourceManager.getKey(this.settings)) {
+            this.settings = { ...this.settings, ...settings };
+            DataSourceManager.saveSettings(this.settings);
+            MessageHandler.showInfo(t('settings.saved'));
+            return;
+        }
+
+        // La sesión abierta pertenece al servicio anterior
+        if (authChanged && this.session) {
+            this.settings = { ...this.settings, ...settings };
+            this.endSession();
+        }
+
+        this.setDataSource(settings);
+
+        if (this.requiresLogin()) {
+            this.router.navigate('/login');
+        }
+    }
+
+    /**
+     * Cambia la fuente de datos activa y recarga los contactos
+     */
+    setDataSource(settings) {
+        this.settings = { ...this.settings, ...settings };
+        DataSourceManager.saveSettings(this.settings);
+        this.dataSource = this.createDataSource();
+        this.extrasStore = new ContactExtrasStore(this.getSourceKey());
+
+        // Los cambios registrados se refieren a la fuente anterior
+        this.history.clear();
+        this.renderHistory();
+
+        this.cancelEdit();
+        UIManager.renderSettings(this.settings);
+        MessageHandler.showInfo(t('settings.sourceChanged', { source: t(this.dataSource.label) }));
+        this.loadContacts();
+    }
+
+    /**
+     * Pasa a la fuente en memoria con los datos de prueba
+     */
+    useTestData() {
+        this.setDataSource({ dataSource: 'memory' });
+    }
+
+    /**
+     * Busca contactos por nombre, apellido o teléfono
+     */
+    searchContacts(query) {
+        this.store.setState({ searchQuery: query });
+    }
+
+    /**
+     * Descarga la lista completa o la filtrada en el formato indicado
+     */
+    exportContacts(format, scope = 'all') {
+        const contacts = scope === 'filtered'
+            ? this.getVisibleContacts()
+            : AgendaState.sortedContacts(this.store.getState());
+
+        if (contacts.length === 0) {
+            MessageHandler.showWarning(t('export.empty'));
+            return;
+        }
+
+        try {
+            const filename = ContactExporter.export(contacts, format);
+            MessageHandler.showSuccess(t('export.done', { count: contacts.length, filename }));
+        } catch (error) {
+            console.error('Error al exportar contactos:', error);
+            MessageHandler.showError(t('export.failed', { message: error.message }));
+        }
+    }
+
+    /**
+     * Cambia el criterio de orden de la lista
+     */
+    setSortOrder(sortBy) {
+        if (!ContactSorter.OPTIONS[sortBy]) return;
+
+        ContactSorter.savePreference(sortBy);
+        this.store.setState({ sortBy });
+    }
+
+    /**
+     * Cambia el idioma de la interfaz. Los textos fijos se traducen en el
+     * sitio; la lista y las vistas se repintan al cambiar el estado.
+     */
+    setLocale(locale) {
+        if (locale === this.store.getState().locale || !I18n.setLocale(locale)) return;
+
+        I18n.translatePage();
+        UIManager.setFormMode(this.editingId !== null);
+        UIManager.translateFormRows();
+        UIManager.renderLanguageOptions();
+        UIManager.renderSettings(this.settings);
+        UIManager.renderUserMenu(this.session ? this.session.user : null);
+        this.renderHistory();
+        this.store.setState({ locale });
+    }
+}
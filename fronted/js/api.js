@@ -0,0 +1,722 @@
+/**
+ * ACCESO A DATOS
+ * Errores de red, cliente HTTP, fuentes de datos, caché sin conexión y actualización automática
+ */
+
+import { t } from './i18n.js';
+import { OFFLINE_DB_NAME, OFFLINE_DB_VERSION, SEED_CONTACTS, SETTINGS_STORAGE_KEY, RAYDELTO_API_URL, LOCAL_CONTACTS_STORAGE_KEY } from './config.js';
+
+/**
+ * ERRORES DE RED
+ * El mensaje de cada tipo ya es el texto que se muestra al usuario
+ */
+export class RequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+        // Si tiene sentido repetir una petición idempotente
+        this.retryable = false;
+    }
+}
+
+export class NetworkError extends RequestError {
+    constructor() {
+        super(t('error.network'));
+        this.retryable = true;
+    }
+}
+
+export class CorsError extends RequestError {
+    constructor() {
+        super(t('error.cors'));
+    }
+}
+
+export class TimeoutError extends RequestError {
+    constructor(timeout) {
+        super(t('error.timeout', { seconds: Math.ceil(timeout / 1000) }));
+        this.retryable = true;
+    }
+}
+
+export class HttpError extends RequestError {
+    static STATUS_MESSAGES = {
+        400: 'http.400',
+        401: 'http.401',
+        403: 'http.403',
+        404: 'http.404',
+        409: 'http.409',
+        422: 'http.422',
+        429: 'http.429'
+    };
+
+    constructor(status, serverMessage = '') {
+        const base = t(HttpError.STATUS_MESSAGES[status] ||
+            (status >= 500 ? 'http.server' : 'http.rejected'));
+        
+        super(`${base} (HTTP ${status})${serverMessage ? `: ${serverMessage}` : ''}`);
+        this.status = status;
+        this.serverMessage = serverMessage;
+        this.retryable = status >= 500 || status === 429;
+    }
+}
+
+export class PayloadError extends RequestError {
+    constructor(detail) {
+        super(t('error.payload', { detail }));
+    }
+}
+
+/**
+ * 401 de una petición que llevaba token: la sesión caducó o se revocó
+ */
+export class SessionExpiredError extends HttpError {
+    constructor(serverMessage = '') {
+        super(401, serverMessage);
+    }
+}
+
+export class RequestCancelledError extends RequestError {
+    constructor() {
+        super(t('error.cancelled'));
+    }
+}
+
+/**
+ * CLIENTE HTTP COMPARTIDO
+ * Tiempo límite por petición, reintentos con espera aleatoria para los
+ * métodos idempotentes y errores tipados. Con getToken cada petición lleva
+ * "Authorization: Bearer"; si el servidor la rechaza con 401 se llama a onUnauthorized.
+ */
+export class HttpClient {
+    static IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    constructor({ timeout = 10000, retries = 2, retryDelay = 500, getToken = () => null, onUnauthorized = () => {} } = {}) {
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.getToken = getToken;
+        this.onUnauthorized = onUnauthorized;
+    }
+
+    /**
+     * Hace la petición y devuelve el cuerpo interpretado (JSON, texto o null)
+     */
+    async request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const retries = HttpClient.IDEMPOTENT_METHODS.includes(method)
+            ? (options.retries !== undefined ? options.retries : this.retries)
+            : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, { ...options, method });
+            } catch (error) {
+                if (attempt >= retries || !error.retryable) throw error;
+                await this.wait(this.getRetryDelay(attempt), options.signal);
+            }
+        }
+    }
+
+    /**
+     * Espera exponencial con "full jitter" para no sincronizar reintentos
+     */
+    getRetryDelay(attempt) {
+        return Math.random() * this.retryDelay * 2 ** attempt;
+    }
+
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new RequestCancelledError());
+                return;
+            }
+
+            const timer = setTimeout(resolve, delay);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new RequestCancelledError());
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Un intento: aplica el tiempo límite y traduce los fallos a errores tipados
+     */
+    async send(url, { method, body, signal, timeout = this.timeout }) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const cancel = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', cancel, { once: true });
+        }
+
+        // Sin cuerpo no se envía Content-Type, para evitar el preflight CORS en los GET
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const token = this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        try {
+            let response;
+            
+            try {
+                response = await fetch(url, {
+                    method,
+                    mode: 'cors',
+                    headers,
+                    credentials: 'omit',
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (timedOut) throw new TimeoutError(timeout);
+                if (controller.signal.aborted) throw new RequestCancelledError();
+                throw await this.diagnoseFailure(url);
+            }
+
+            let text;
+            try {
+                text = await response.text();
+            } catch (error) {
+                if (timedOut) throw new TimeoutError(timeout);
+                if (controller.signal.aborted) throw new RequestCancelledError();
+                throw new NetworkError();
+            }
+
+            const data = this.parseBody(text, method === 'GET');
+
+            if (!response.ok) {
+                if (response.status === 401 && token) {
+                    this.onUnauthorized();
+                    throw new SessionExpiredError(this.getServerMessage(data));
+                }
+                throw new HttpError(response.status, this.getServerMessage(data));
+            }
+
+            // Algunas APIs responden 200 con { "error": "..." }
+            const serverMessage = this.getServerMessage(data);
+            if (serverMessage) {
+                throw new HttpError(response.status, serverMessage);
+            }
+
+            return data;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * JSON si lo es; si se esperaba JSON y no lo es, error de formato
+     */
+    parseBody(text, expectJson) {
+        if (!text.trim()) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            if (expectJson) {
+                throw new PayloadError(t('error.payload.json'));
+            }
+            return text;
+        }
+    }
+
+    /**
+     * Mensaje de error explícito en una respuesta JSON
+     */
+    getServerMessage(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return '';
+        return typeof data.error === 'string' ? data.error : '';
+    }
+
+    /**
+     * fetch no distingue CORS de red caída: si el servidor responde a una
+     * petición "no-cors" es que está accesible y lo que falló fue CORS
+     */
+    async diagnoseFailure(url) {
+        if (!navigator.onLine) return new NetworkError();
+
+        let target;
+        try {
+            target = new URL(url, window.location.href);
+        } catch (error) {
+            return new NetworkError();
+        }
+        if (target.origin === window.location.origin) return new NetworkError();
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 5000);
+
+        try {
+            await fetch(target.href, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+            return new CorsError();
+        } catch (error) {
+            return new NetworkError();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * FUENTES DE DATOS
+ * Todas exponen la misma interfaz: list, create, update y remove
+ */
+export class DataSource {
+    constructor(label) {
+        this.label = label;
+        // Si guarda teléfonos múltiples, correos, dirección, notas y cumpleaños
+        this.supportsExtendedFields = false;
+    }
+
+    /**
+     * Con signal la carga se puede cancelar si otra la sustituye
+     */
+    async list({ signal } = {}) {
+        throw new Error('Operación no implementada');
+    }
+
+    async create(contactData) {
+        throw new Error('Operación no implementada');
+    }
+
+    async update(id, contactData) {
+        throw new Error('Operación no implementada');
+    }
+
+    async remove(id) {
+        throw new Error('Operación no implementada');
+    }
+}
+
+/**
+ * Endpoint REST con el contrato de agenda.php. httpOptions se pasa al
+ * HttpClient, por ejemplo para enviar el token de la sesión.
+ */
+export class RestDataSource extends DataSource {
+    constructor(url, label = 'source.rest', httpOptions = {}) {
+        super(label);
+        this.url = url;
+        this.http = new HttpClient(httpOptions);
+    }
+
+    /**
+     * Construye la URL del recurso, con el id como parámetro si aplica
+     */
+    buildUrl(id = null) {
+        if (id === null) return this.url;
+        const separator = this.url.includes('?') ? '&' : '?';
+        return `${this.url}${separator}id=${encodeURIComponent(id)}`;
+    }
+
+    async list({ signal } = {}) {
+        const data = await this.http.request(this.url, { signal });
+        
+        // Validar que la respuesta sea un array
+        if (!Array.isArray(data)) {
+            throw new PayloadError(t('error.payload.list'));
+        }
+
+        return data;
+    }
+
+    async create(contactData) {
+        return this.http.request(this.url, { method: 'POST', body: contactData });
+    }
+
+    async update(id, contactData) {
+        return this.http.request(this.buildUrl(id), { method: 'PUT', body: { ...contactData, id } });
+    }
+
+    async remove(id) {
+        return this.http.request(this.buildUrl(id), { method: 'DELETE', body: { id } });
+    }
+}
+
+/**
+ * API pública de raydelto.org
+ */
+export class RaydeltoDataSource extends RestDataSource {
+    constructor(httpOptions = {}) {
+        super(RAYDELTO_API_URL, 'source.raydelto', httpOptions);
+    }
+}
+
+/**
+ * Fuente en memoria, útil cuando la API no está disponible
+ */
+export class MemoryDataSource extends DataSource {
+    constructor(seed = SEED_CONTACTS) {
+        super('source.memory');
+        this.supportsExtendedFields = true;
+        this.nextId = 1;
+        this.contacts = seed.map(contact => this.withId(contact));
+    }
+
+    withId(contactData) {
+        return {
+            ...contactData,
+            id: String(this.nextId++),
+            createdAt: contactData.createdAt || Date.now()
+        };
+    }
+
+    findIndex(id) {
+        const index = this.contacts.findIndex(contact => contact.id === id);
+        if (index === -1) {
+            throw new Error(t('detail.notFound'));
+        }
+        return index;
+    }
+
+    async list() {
+        return this.contacts.map(contact => ({ ...contact }));
+    }
+
+    async create(contactData) {
+        const contact = this.withId(contactData);
+        this.contacts.push(contact);
+        return { ...contact };
+    }
+
+    async update(id, contactData) {
+        const index = this.findIndex(id);
+        this.contacts[index] = { ...this.contacts[index], ...contactData, id };
+        return { ...this.contacts[index] };
+    }
+
+    async remove(id) {
+        this.contacts.splice(this.findIndex(id), 1);
+    }
+}
+
+/**
+ * Fuente persistida en el localStorage del navegador
+ */
+export class LocalStorageDataSource extends MemoryDataSource {
+    constructor(storageKey = LOCAL_CONTACTS_STORAGE_KEY) {
+        super([]);
+        this.label = 'source.localStorage';
+        this.storageKey = storageKey;
+        this.restore();
+    }
+
+    restore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.contacts = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Contactos locales corruptos, se reinician:', error);
+            this.contacts = [];
+        }
+
+        const maxId = this.contacts.reduce((max, contact) => Math.max(max, Number(contact.id) || 0), 0);
+        this.nextId = maxId + 1;
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.contacts));
+    }
+
+    async create(contactData) {
+        const contact = await super.create(contactData);
+        this.persist();
+        return contact;
+    }
+
+    async update(id, contactData) {
+        const contact = await super.update(id, contactData);
+        this.persist();
+        return contact;
+    }
+
+    async remove(id) {
+        await super.remove(id);
+        this.persist();
+    }
+}
+
+/**
+ * Registro de fuentes disponibles y persistencia de la configuración
+ */
+export class DataSourceManager {
+    // user es el usuario con sesión (o null) y http las opciones de HttpClient
+    static TYPES = {
+        raydelto: {
+            label: 'source.raydelto',
+            create: (settings, { http }) => new RaydeltoDataSource(http)
+        },
+        rest: {
+            label: 'source.rest',
+            create: (settings, { http }) => new RestDataSource(settings.restUrl, 'source.rest', http)
+        },
+        memory: {
+            label: 'source.memory',
+            create: () => new MemoryDataSource()
+        },
+        localStorage: {
+            label: 'source.localStorage',
+            // Cada usuario guarda su agenda con su propia clave
+            create: (settings, { user }) => new LocalStorageDataSource(user
+                ? `${LOCAL_CONTACTS_STORAGE_KEY}.${user.id}`
+                : LOCAL_CONTACTS_STORAGE_KEY)
+        }
+    };
+
+    static DEFAULT_SETTINGS = {
+        dataSource: 'raydelto',
+        restUrl: '',
+        refreshInterval: 30,
+        // Inicio de sesión: 'none', 'local' o 'remote' (ver auth.js)
+        auth: 'none',
+        authUrl: ''
+    };
+
+    /**
+     * Lee la configuración guardada
+     */
+    static loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+            const settings = { ...this.DEFAULT_SETTINGS, ...stored };
+            
+            if (!this.TYPES[settings.dataSource]) {
+                settings.dataSource = this.DEFAULT_SETTINGS.dataSource;
+            }
+
+            if (!AutoRefresher.INTERVALS.includes(settings.refreshInterval)) {
+                settings.refreshInterval = this.DEFAULT_SETTINGS.refreshInterval;
+            }
+            
+            return settings;
+        } catch (error) {
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Guarda la configuración
+     */
+    static saveSettings(settings) {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Clave única de una fuente según su configuración y, con sesión, su usuario
+     */
+    static getKey(settings, user = null) {
+        const key = settings.dataSource === 'rest' ? `rest:${settings.restUrl}` : settings.dataSource;
+        return user ? `${key}@${user.id}` : key;
+    }
+
+    /**
+     * URL de la API de la fuente; null si los contactos no salen del navegador
+     */
+    static getUrl(settings) {
+        if (settings.dataSource === 'rest') return settings.restUrl;
+        if (settings.dataSource === 'raydelto') return RAYDELTO_API_URL;
+        return null;
+    }
+
+    /**
+     * Crea la fuente de datos indicada en la configuración
+     */
+    static create(settings, { user = null, http = {} } = {}) {
+        const type = this.TYPES[settings.dataSource] || this.TYPES[this.DEFAULT_SETTINGS.dataSource];
+        return type.create(settings, { user, http });
+    }
+}
+
+/**
+ * ALMACÉN SIN CONEXIÓN (IndexedDB)
+ * Guarda la última lista de cada fuente y la bandeja de salida
+ */
+export class OfflineStore {
+    constructor(dbName = OFFLINE_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Abre (o crea) la base de datos
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB no está disponible'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, OFFLINE_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    
+                    if (!db.objectStoreNames.contains('contacts')) {
+                        db.createObjectStore('contacts', { keyPath: 'source' });
+                    }
+                    if (!db.objectStoreNames.contains('outbox')) {
+                        const outbox = db.createObjectStore('outbox', { keyPath: 'id' });
+                        outbox.createIndex('source', 'source');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Ejecuta una operación sobre un almacén dentro de una transacción
+     */
+    async run(storeName, mode, operation, fallback) {
+        try {
+            const db = await this.open();
+            
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.warn('Almacén sin conexión no disponible:', error);
+            return fallback;
+        }
+    }
+
+    async getContacts(source) {
+        const snapshot = await this.run('contacts', 'readonly', store => store.get(source), null);
+        return snapshot || null;
+    }
+
+    async saveContacts(source, contacts) {
+        await this.run('contacts', 'readwrite', store => store.put({ source, contacts, updatedAt: Date.now() }));
+    }
+
+    async getOutbox(source) {
+        const entries = await this.run('outbox', 'readonly', store => store.index('source').getAll(source), []);
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async putOutboxEntry(entry) {
+        await this.run('outbox', 'readwrite', store => store.put(entry));
+    }
+
+    async deleteOutboxEntry(id) {
+        await this.run('outbox', 'readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * ACTUALIZACIÓN AUTOMÁTICA
+ * Consulta la fuente cada cierto tiempo, se pausa con la pestaña oculta
+ * y espacia los reintentos cuando falla
+ */
+export class AutoRefresher {
+    // Intervalos disponibles en segundos (0 = desactivado)
+    static INTERVALS = [0, 15, 30, 60, 300];
+
+    static MAX_BACKOFF = 5 * 60 * 1000;
+
+    /**
+     * refresh debe devolver true si la consulta fue bien
+     */
+    constructor(refresh, intervalSeconds, onRetry = () => {}) {
+        this.refresh = refresh;
+        this.onRetry = onRetry;
+        this.interval = intervalSeconds * 1000;
+        this.failures = 0;
+        this.timer = null;
+        this.isRunning = false;
+        this.lastRun = Date.now();
+
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    }
+
+    static describeInterval(seconds) {
+        if (seconds === 0) return t('refresh.off');
+        return seconds < 60 ? t('refresh.seconds', { count: seconds }) : t('refresh.minutes', { count: seconds / 60 });
+    }
+
+    /**
+     * Espera hasta la próxima consulta: se duplica con cada fallo seguido
+     */
+    getDelay() {
+        const delay = this.interval * 2 ** this.failures;
+        return Math.min(delay, Math.max(AutoRefresher.MAX_BACKOFF, this.interval));
+    }
+
+    schedule(delay = this.getDelay()) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.interval || document.hidden) return;
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        this.timer = null;
+        if (document.hidden) return;
+
+        this.isRunning = true;
+        let ok = false;
+
+        try {
+            ok = await this.refresh();
+        } catch (error) {
+            console.error('Error en la actualización automática:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        this.lastRun = Date.now();
+        this.failures = ok ? 0 : this.failures + 1;
+
+        if (!ok) {
+            this.onRetry(this.getDelay());
+        }
+        this.schedule();
+    }
+
+    /**
+     * Pausa con la pestaña oculta; al volver consulta si ya tocaba
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            return;
+        }
+
+        if (this.isRunning) return;
+
+        const elapsed = Date.now() - this.lastRun;
+        this.schedule(Math.max(0, this.getDelay() - elapsed));
+    }
+
+    setInterval(seconds) {
+        this.interval = seconds * 1000;
+        this.failures = 0;
+        this.schedule();
+    }
+}
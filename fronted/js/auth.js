@@ -0,0 +1,172 @@
+/**
+ * SESIONES
+ * Inicio de sesión con token contra un servicio configurable o un sustituto
+ * local, y la sesión guardada entre visitas
+ */
+
+import { t } from './i18n.js';
+import { SESSION_STORAGE_KEY } from './config.js';
+import { HttpClient, PayloadError } from './api.js';
+
+/**
+ * Sustituto local: no hay servidor ni contraseñas que comprobar. Sirve para
+ * probar el flujo y para que cada persona tenga su agenda en este navegador.
+ */
+export class LocalAuthProvider {
+    static SESSION_HOURS = 8;
+
+    async login({ usuario }) {
+        const name = usuario.trim();
+
+        return {
+            token: `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+            user: { id: name.toLowerCase(), name },
+            expiresAt: Date.now() + LocalAuthProvider.SESSION_HOURS * 60 * 60 * 1000
+        };
+    }
+
+    async logout() {}
+}
+
+/**
+ * Servicio de sesiones remoto:
+ *   POST {url}/login con { usuario, password } → { token, user: { id, name }, expiresAt }
+ *   POST {url}/logout con el token → revoca la sesión
+ * expiresAt puede ser una fecha ISO o milisegundos; también se admite expiresIn en segundos.
+ */
+export class RemoteAuthProvider {
+    constructor(url) {
+        this.url = url.replace(/\/+$/, '');
+    }
+
+    async login(credentials) {
+        const data = await new HttpClient().request(`${this.url}/login`, { method: 'POST', body: credentials });
+        return AuthManager.normalizeSession(data);
+    }
+
+    async logout(session) {
+        const http = new HttpClient({ getToken: () => session.token });
+        await http.request(`${this.url}/logout`, { method: 'POST' });
+    }
+}
+
+/**
+ * Tipos de inicio de sesión y persistencia de la sesión abierta
+ */
+export class AuthManager {
+    static TYPES = {
+        none: {
+            label: 'auth.none',
+            create: () => null
+        },
+        local: {
+            label: 'auth.local',
+            create: () => new LocalAuthProvider()
+        },
+        remote: {
+            label: 'auth.remote',
+            create: (settings) => new RemoteAuthProvider(settings.authUrl)
+        }
+    };
+
+    /**
+     * Si la configuración pide iniciar sesión antes de ver la agenda
+     */
+    static isEnabled(settings) {
+        return settings.auth !== 'none' && Boolean(this.TYPES[settings.auth]);
+    }
+
+    /**
+     * Clave del servicio de sesiones; una sesión solo vale para el que la abrió
+     */
+    static getKey(settings) {
+        if (!this.isEnabled(settings)) return 'none';
+        return settings.auth === 'remote' ? `remote:${settings.authUrl}` : settings.auth;
+    }
+
+    /**
+     * Si una API es del mismo origen que el servicio de sesiones remoto: solo
+     * ahí viaja el token. El del sustituto local no sale del navegador.
+     */
+    static ownsUrl(settings, url) {
+        if (settings.auth !== 'remote' || !url) return false;
+
+        try {
+            return new URL(url).origin === new URL(settings.authUrl).origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Abre una sesión con el servicio de la configuración
+     */
+    static async login(settings, credentials) {
+        const session = await this.TYPES[settings.auth].create(settings).login(credentials);
+        return { ...session, provider: this.getKey(settings) };
+    }
+
+    /**
+     * Avisa al servicio de que la sesión se cerró
+     */
+    static async logout(settings, session) {
+        if (!this.isEnabled(settings) || session.provider !== this.getKey(settings)) return;
+        await this.TYPES[settings.auth].create(settings).logout(session);
+    }
+
+    /**
+     * Comprueba la respuesta del servicio y la lleva a { token, user, expiresAt }
+     */
+    static normalizeSession(data) {
+        if (!data || typeof data !== 'object' || typeof data.token !== 'string' || !data.token) {
+            throw new PayloadError(t('auth.badResponse'));
+        }
+
+        const user = data.user && typeof data.user === 'object' ? data.user : {};
+        const id = String(user.id || user.name || '');
+        if (!id) {
+            throw new PayloadError(t('auth.badResponse'));
+        }
+
+        let expiresAt = null;
+        if (typeof data.expiresAt === 'number') {
+            expiresAt = data.expiresAt;
+        } else if (typeof data.expiresAt === 'string') {
+            expiresAt = Date.parse(data.expiresAt) || null;
+        } else if (Number.isFinite(data.expiresIn)) {
+            expiresAt = Date.now() + data.expiresIn * 1000;
+        }
+
+        return { token: data.token, user: { id, name: String(user.name || id) }, expiresAt };
+    }
+
+    /**
+     * Sin expiresAt la sesión dura hasta que el servidor la rechace
+     */
+    static isExpired(session, now = Date.now()) {
+        return session.expiresAt !== null && session.expiresAt <= now;
+    }
+
+    /**
+     * Sesión guardada del servicio de la configuración, si sigue vigente
+     */
+    static loadSession(settings) {
+        try {
+            const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+            if (!session || session.provider !== this.getKey(settings) || this.isExpired(session)) {
+                return null;
+            }
+            return session;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveSession(session) {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
+
+    static clearSession() {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+}
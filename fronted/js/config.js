@@ -0,0 +1,39 @@
+/**
+ * CONFIGURACIÓN
+ * Constantes compartidas: fuentes de datos, claves de almacenamiento y datos de prueba
+ */
+
+// Configuración de las fuentes de datos
+export const RAYDELTO_API_URL = 'http://www.raydelto.org/agenda.php';
+// Servidor de prueba del repositorio (node mock-server/server.js)
+export const MOCK_API_URL = 'http://localhost:8080/agenda.php';
+// Servicio de sesiones del mismo servidor de prueba (/auth/login y /auth/logout)
+export const MOCK_AUTH_URL = 'http://localhost:8080/auth';
+export const SETTINGS_STORAGE_KEY = 'agenda.settings';
+export const SESSION_STORAGE_KEY = 'agenda.session';
+export const SORT_STORAGE_KEY = 'agenda.sort';
+export const LOCALE_STORAGE_KEY = 'agenda.locale';
+export const EXTRAS_STORAGE_PREFIX = 'agenda.extras.';
+
+// País por defecto para interpretar teléfonos sin prefijo internacional
+export const DEFAULT_PHONE_COUNTRY = 'DO';
+export const LOCAL_CONTACTS_STORAGE_KEY = 'agenda.contacts';
+
+// Base de datos local para el modo sin conexión
+export const OFFLINE_DB_NAME = 'agenda-offline';
+export const OFFLINE_DB_VERSION = 1;
+
+// URLs sugeridas para la fuente "REST configurable": la API local y proxies CORS
+export const CORS_PROXY_PRESETS = [
+    MOCK_API_URL,
+    'https://cors-anywhere.herokuapp.com/http://www.raydelto.org/agenda.php',
+    'https://api.allorigins.win/raw?url=' + encodeURIComponent(RAYDELTO_API_URL),
+    'https://corsproxy.io/?' + encodeURIComponent(RAYDELTO_API_URL)
+];
+
+// Datos con los que arranca la fuente en memoria
+export const SEED_CONTACTS = [
+    { nombre: "Juan", apellido: "Pérez", telefono: "+18091234567" },
+    { nombre: "María", apellido: "González", telefono: "+18297654321" },
+    { nombre: "Pedro", apellido: "Martínez", telefono: "+18495551234" }
+];
@@ -0,0 +1,760 @@
+/**
+ * CONTACTOS
+ * Modelo de contacto, etiquetas, búsqueda, orden, duplicados y diferencias entre listas
+ */
+
+import { EXTRAS_STORAGE_PREFIX, SORT_STORAGE_KEY } from './config.js';
+import { Utils, SafeHtml, html } from './utils.js';
+import { PhoneNumber } from './validation.js';
+import { I18n, t } from './i18n.js';
+
+/**
+ * MODELO DE CONTACTO
+ * Los campos básicos (nombre, apellido, telefono) se amplían con teléfonos
+ * etiquetados, correos, dirección, notas y cumpleaños
+ */
+export class ContactModel {
+    // Clave del catálogo de traducciones de cada tipo de teléfono
+    static PHONE_LABELS = {
+        movil: 'phone.label.movil',
+        casa: 'phone.label.casa',
+        trabajo: 'phone.label.trabajo'
+    };
+
+    static BASE_FIELDS = ['nombre', 'apellido', 'telefono'];
+
+    static EXTENDED_FIELDS = ['telefonos', 'emails', 'direccion', 'notas', 'cumpleanos', 'etiquetas', 'favorito'];
+
+    /**
+     * Teléfonos del contacto; los contactos antiguos solo tienen "telefono"
+     */
+    static getPhones(contact) {
+        if (Array.isArray(contact.telefonos) && contact.telefonos.length > 0) {
+            return contact.telefonos;
+        }
+        
+        return contact.telefono
+            ? [{ etiqueta: 'movil', numero: contact.telefono, pais: contact.pais }]
+            : [];
+    }
+
+    /**
+     * Completa los campos que falten con valores vacíos
+     */
+    static withDefaults(contact) {
+        return {
+            ...contact,
+            telefonos: this.getPhones(contact).map(({ etiqueta, numero }) => ({ etiqueta: etiqueta || 'movil', numero })),
+            emails: Array.isArray(contact.emails) ? contact.emails : [],
+            direccion: contact.direccion || '',
+            notas: contact.notas || '',
+            cumpleanos: contact.cumpleanos || '',
+            etiquetas: Array.isArray(contact.etiquetas) ? contact.etiquetas : [],
+            favorito: Boolean(contact.favorito)
+        };
+    }
+
+    /**
+     * Datos guardables del contacto, sin id ni estado de sincronización
+     */
+    static toData(contact) {
+        const { id, localId, createdAt, pendingStatus, syncError, ...contactData } = contact;
+        return contactData;
+    }
+
+    /**
+     * Id local para un contacto sin id de la fuente: los dígitos de su
+     * teléfono y, si otro contacto ya los usa, un sufijo por orden (-2, -3…)
+     */
+    static localIdFor(contact, takenIds) {
+        const digits = Utils.getSourceId({ telefono: contact.telefono });
+        let localId = digits;
+
+        for (let n = 2; takenIds.has(localId); n++) {
+            localId = `${digits}-${n}`;
+        }
+        return localId;
+    }
+
+    /**
+     * Da un id único en la lista a los contactos que la fuente no identifica;
+     * con el teléfono solo, dos contactos con el mismo número se confundirían.
+     * Los que ya tienen id (de la fuente o local) lo conservan.
+     */
+    static withLocalIds(contacts) {
+        const hasId = contact => (contact.id !== undefined && contact.id !== null) || Boolean(contact.localId);
+        const takenIds = new Set(contacts.filter(hasId).map(contact => Utils.getContactId(contact)));
+
+        return contacts.map(contact => {
+            if (hasId(contact)) return contact;
+
+            const localId = this.localIdFor(contact, takenIds);
+            takenIds.add(localId);
+            return { ...contact, localId };
+        });
+    }
+
+    /**
+     * Solo los campos que entiende una API con el contrato original
+     */
+    static toBase(contact) {
+        const base = {};
+        this.BASE_FIELDS.forEach(field => {
+            base[field] = contact[field] || '';
+        });
+        return base;
+    }
+
+    /**
+     * Campos extendidos del contacto
+     */
+    static getExtras(contact) {
+        const extras = {};
+        this.EXTENDED_FIELDS.forEach(field => {
+            if (contact[field] !== undefined) {
+                extras[field] = contact[field];
+            }
+        });
+        return extras;
+    }
+
+    /**
+     * Indica si hay algo más que mostrar aparte del nombre y el teléfono principal
+     */
+    static hasDetails(contact) {
+        return this.getPhones(contact).length > 1 ||
+            (contact.emails || []).length > 0 ||
+            Boolean(contact.direccion || contact.notas || contact.cumpleanos);
+    }
+
+    /**
+     * Indica si el contacto tiene algún dato fuera del contrato original
+     */
+    static hasExtras(contact) {
+        return this.hasDetails(contact) ||
+            (contact.etiquetas || []).length > 0 ||
+            Boolean(contact.favorito);
+    }
+}
+
+/**
+ * ETIQUETAS Y FAVORITOS
+ * Las etiquetas se comparan sin acentos ni mayúsculas
+ */
+export class ContactTags {
+    // Valor del chip de favoritos; no puede coincidir con una etiqueta real
+    static FAVORITES = '*favoritos';
+
+    static MAX_TAGS = 10;
+
+    static MAX_LENGTH = 30;
+
+    /**
+     * Clave de comparación de una etiqueta
+     */
+    static key(tag) {
+        return Utils.normalizeText(tag.trim());
+    }
+
+    /**
+     * Limpia una lista de etiquetas y quita las repetidas
+     */
+    static normalize(tags) {
+        const seen = new Set();
+        
+        return (tags || [])
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+            .filter(tag => {
+                const key = this.key(tag);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Convierte "familia, trabajo" en una lista de etiquetas
+     */
+    static parse(text) {
+        return this.normalize((text || '').split(/[,;]/));
+    }
+
+    /**
+     * Etiquetas usadas en la agenda con el número de contactos de cada una
+     */
+    static collect(contacts) {
+        const tags = new Map();
+        let favorites = 0;
+
+        contacts.forEach(contact => {
+            if (contact.favorito) favorites++;
+            
+            (contact.etiquetas || []).forEach(tag => {
+                const key = this.key(tag);
+                const entry = tags.get(key) || { tag, count: 0 };
+                entry.count++;
+                tags.set(key, entry);
+            });
+        });
+
+        return {
+            favorites,
+            tags: [...tags.values()].sort((a, b) => ContactSorter.collator.compare(a.tag, b.tag))
+        };
+    }
+
+    /**
+     * Indica si el contacto tiene todas las etiquetas indicadas
+     */
+    static matches(contact, activeTags, favoritesOnly) {
+        if (favoritesOnly && !contact.favorito) return false;
+
+        const keys = (contact.etiquetas || []).map(tag => this.key(tag));
+        return [...activeTags].every(tag => keys.includes(this.key(tag)));
+    }
+
+    static filter(contacts, activeTags, favoritesOnly) {
+        if (activeTags.size === 0 && !favoritesOnly) return contacts;
+        return contacts.filter(contact => this.matches(contact, activeTags, favoritesOnly));
+    }
+}
+
+/**
+ * ALMACÉN LOCAL DE CAMPOS EXTENDIDOS
+ * Para fuentes que solo guardan nombre, apellido y teléfono
+ */
+export class ContactExtrasStore {
+    constructor(sourceKey) {
+        this.storageKey = `${EXTRAS_STORAGE_PREFIX}${sourceKey}`;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persist(extras) {
+        localStorage.setItem(this.storageKey, JSON.stringify(extras));
+    }
+
+    /**
+     * Los extras se asocian al id del contacto (el de la fuente o el local),
+     * así dos contactos con el mismo teléfono no comparten sus datos
+     */
+    keyFor(id) {
+        return `id:${id}`;
+    }
+
+    /**
+     * Clave de las versiones anteriores, por teléfono; se sigue leyendo
+     */
+    legacyKeyFor(contact) {
+        return DuplicateDetector.normalizePhone(contact.telefono);
+    }
+
+    save(id, contact) {
+        if (!id) return;
+
+        const key = this.keyFor(id);
+        const extras = this.load();
+        if (ContactModel.hasExtras(contact)) {
+            extras[key] = ContactModel.getExtras(contact);
+        } else {
+            delete extras[key];
+        }
+        this.persist(extras);
+    }
+
+    remove(contact) {
+        const extras = this.load();
+        delete extras[this.keyFor(Utils.getContactId(contact))];
+        delete extras[this.legacyKeyFor(contact)];
+        this.persist(extras);
+    }
+
+    /**
+     * Añade los extras guardados a los contactos que no los traen. Los
+     * contactos deben tener ya su id (ver ContactModel.withLocalIds).
+     */
+    apply(contacts) {
+        const extras = this.load();
+        
+        return contacts.map(contact => {
+            const stored = extras[this.keyFor(Utils.getContactId(contact))] || extras[this.legacyKeyFor(contact)];
+            // El esquema deja telefonos como lista vacía si la fuente no los trae
+            const hasPhones = Array.isArray(contact.telefonos) && contact.telefonos.length > 0;
+            return stored && !hasPhones ? { ...contact, ...stored } : contact;
+        });
+    }
+}
+
+/**
+ * CLASE PARA BÚSQUEDA DE CONTACTOS
+ * Coincidencias sin acentos en nombres y por dígitos en teléfonos
+ */
+export class ContactSearch {
+    /**
+     * Indica si la consulta filtra algo
+     */
+    static isActive(query) {
+        return Boolean(query && query.trim());
+    }
+
+    /**
+     * Dígitos de la consulta si es una búsqueda de teléfono (sin letras)
+     */
+    static getPhoneDigits(query) {
+        if (/\p{L}/u.test(query)) return '';
+        return query.replace(/\D/g, '');
+    }
+
+    /**
+     * Términos normalizados de la consulta
+     */
+    static getTerms(query) {
+        return Utils.normalizeText(query).split(/\s+/).filter(Boolean);
+    }
+
+    // Texto normalizado y dígitos de cada contacto; los contactos no se modifican en el sitio
+    static index = new WeakMap();
+
+    /**
+     * Texto en el que se busca un contacto, calculado una vez por contacto
+     */
+    static getIndex(contact) {
+        let entry = this.index.get(contact);
+        
+        if (!entry) {
+            entry = {
+                phoneDigits: ContactModel.getPhones(contact)
+                    .map(phone => (phone.numero || '').replace(/\D/g, ''))
+                    .join(' '),
+                name: Utils.normalizeText([
+                    contact.nombre,
+                    contact.apellido,
+                    ...(contact.emails || []),
+                    ...(contact.etiquetas || [])
+                ].join(' '))
+            };
+            this.index.set(contact, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Prepara la consulta una sola vez y devuelve la función que comprueba cada contacto
+     */
+    static createMatcher(query) {
+        const queryDigits = this.getPhoneDigits(query);
+
+        if (queryDigits) {
+            return contact => this.getIndex(contact).phoneDigits.includes(queryDigits);
+        }
+
+        const terms = this.getTerms(query).map(term => {
+            const digits = term.replace(/\D/g, '');
+            return { term, digits: digits.length > 0 && digits === term ? digits : '' };
+        });
+        
+        // Cada término debe aparecer en el nombre, los correos, las etiquetas o un teléfono
+        return contact => {
+            const { name, phoneDigits } = this.getIndex(contact);
+            return terms.every(({ term, digits }) => name.includes(term) || (digits && phoneDigits.includes(digits)));
+        };
+    }
+
+    /**
+     * Comprueba si un contacto coincide con la consulta
+     */
+    static matches(contact, query) {
+        return this.createMatcher(query)(contact);
+    }
+
+    /**
+     * Filtra una lista de contactos
+     */
+    static filter(contacts, query) {
+        if (!this.isActive(query)) return contacts;
+        return contacts.filter(this.createMatcher(query));
+    }
+
+    /**
+     * Resalta en un texto los términos de la consulta (ignorando acentos)
+     */
+    static highlightText(text, query) {
+        if (!this.isActive(query) || this.getPhoneDigits(query)) {
+            return html`${text}`;
+        }
+
+        // Normalizar carácter a carácter para conservar las posiciones originales
+        const normalized = Array.from(text, char => Utils.normalizeText(char).charAt(0) || char).join('');
+        const ranges = [];
+
+        this.getTerms(query).forEach(term => {
+            let from = normalized.indexOf(term);
+            while (from !== -1) {
+                ranges.push([from, from + term.length]);
+                from = normalized.indexOf(term, from + term.length);
+            }
+        });
+
+        return this.wrapRanges(text, ranges);
+    }
+
+    /**
+     * Resalta en un teléfono formateado los dígitos buscados
+     */
+    static highlightPhone(formattedPhone, query) {
+        const queryDigits = this.getPhoneDigits(query) || this.getTerms(query).find(term => /^\d+$/.test(term));
+        if (!queryDigits) {
+            return html`${formattedPhone}`;
+        }
+
+        // Posición de cada dígito dentro del texto formateado
+        const digitPositions = [];
+        Array.from(formattedPhone).forEach((char, position) => {
+            if (/\d/.test(char)) digitPositions.push(position);
+        });
+
+        const digits = formattedPhone.replace(/\D/g, '');
+        const start = digits.indexOf(queryDigits);
+        if (start === -1) {
+            return html`${formattedPhone}`;
+        }
+
+        const end = start + queryDigits.length - 1;
+        return this.wrapRanges(formattedPhone, [[digitPositions[start], digitPositions[end] + 1]]);
+    }
+
+    /**
+     * Envuelve los rangos indicados en etiquetas <mark>
+     */
+    static wrapRanges(text, ranges) {
+        if (ranges.length === 0) {
+            return html`${text}`;
+        }
+
+        // Unir rangos solapados
+        const merged = ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((result, range) => {
+                const last = result[result.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    result.push([...range]);
+                }
+                return result;
+            }, []);
+
+        const parts = [];
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            parts.push(text.slice(cursor, start), html`<mark>${text.slice(start, end)}</mark>`);
+            cursor = end;
+        });
+        parts.push(text.slice(cursor));
+
+        return SafeHtml.join(parts);
+    }
+}
+
+/**
+ * CLASE PARA ORDENAR Y AGRUPAR CONTACTOS
+ */
+export class ContactSorter {
+    static OPTIONS = {
+        nombre: { fields: ['nombre', 'apellido'], grouped: true },
+        apellido: { fields: ['apellido', 'nombre'], grouped: true },
+        fecha: { fields: [], grouped: false }
+    };
+
+    static ALPHABET = 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ#'.split('');
+
+    static FAVORITES_GROUP = '⭐';
+
+    // Comparador del idioma activo; cambia al elegir otro idioma
+    static get collator() {
+        return I18n.getCollator();
+    }
+
+    /**
+     * Lee el criterio de orden guardado
+     */
+    static loadPreference() {
+        const stored = localStorage.getItem(SORT_STORAGE_KEY);
+        return this.OPTIONS[stored] ? stored : 'nombre';
+    }
+
+    /**
+     * Guarda el criterio de orden
+     */
+    static savePreference(sortBy) {
+        localStorage.setItem(SORT_STORAGE_KEY, sortBy);
+    }
+
+    /**
+     * Devuelve una copia ordenada de la lista
+     */
+    static sort(contacts, sortBy) {
+        const option = this.OPTIONS[sortBy] || this.OPTIONS.nombre;
+        const indexed = contacts.map((contact, position) => ({ contact, position }));
+
+        if (!option.grouped) {
+            // Más recientes primero; sin fecha, la API añade al final, así que se invierte su orden
+            indexed.sort((a, b) =>
+                (b.contact.createdAt || 0) - (a.contact.createdAt || 0) || b.position - a.position
+            );
+        } else {
+            indexed.sort((a, b) => {
+                for (const field of option.fields) {
+                    const result = this.collator.compare((a.contact[field] || '').trim(), (b.contact[field] || '').trim());
+                    if (result !== 0) return result;
+                }
+                return a.position - b.position;
+            });
+        }
+
+        // Los favoritos van siempre arriba, en el mismo orden
+        const sorted = indexed.map(item => item.contact);
+        return [
+            ...sorted.filter(contact => contact.favorito),
+            ...sorted.filter(contact => !contact.favorito)
+        ];
+    }
+
+    /**
+     * Grupo de un contacto: favoritos, su letra, o null si el orden no agrupa
+     */
+    static getGroupKey(contact, sortBy) {
+        if (contact.favorito) return this.FAVORITES_GROUP;
+
+        const option = this.OPTIONS[sortBy] || this.OPTIONS.nombre;
+        if (!option.grouped) return null;
+
+        const first = (contact[option.fields[0]] || '').trim().charAt(0).toUpperCase();
+        if (first === 'Ñ') return first;
+
+        const letter = Utils.normalizeText(first).toUpperCase();
+        return /^[A-Z]$/.test(letter) ? letter : '#';
+    }
+}
+
+/**
+ * DETECCIÓN Y FUSIÓN DE DUPLICADOS
+ */
+export class DuplicateDetector {
+    // Similitud mínima (0-1) para considerar dos nombres iguales
+    static NAME_THRESHOLD = 0.85;
+
+    /**
+     * Teléfono comparable: en E.164 si se reconoce, si no solo dígitos
+     */
+    static normalizePhone(phone) {
+        return PhoneNumber.toE164(phone) || String(phone || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Nombre completo comparable: sin acentos ni espacios repetidos
+     */
+    static normalizeName(contact) {
+        return Utils.normalizeText(`${contact.nombre || ''} ${contact.apellido || ''}`)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Distancia de edición entre dos cadenas
+     */
+    static levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Similitud entre dos nombres normalizados (1 = idénticos)
+     */
+    static nameSimilarity(a, b) {
+        const maxLength = Math.max(a.length, b.length);
+        if (maxLength === 0) return 0;
+        return 1 - this.levenshtein(a, b) / maxLength;
+    }
+
+    /**
+     * Motivo por el que dos contactos parecen duplicados, o null
+     */
+    static compare(a, b) {
+        const phoneA = this.normalizePhone(a.telefono);
+        if (phoneA && phoneA === this.normalizePhone(b.telefono)) {
+            return t('duplicates.reason.phone');
+        }
+
+        const nameA = this.normalizeName(a);
+        const nameB = this.normalizeName(b);
+        if (nameA && this.nameSimilarity(nameA, nameB) >= this.NAME_THRESHOLD) {
+            return t(nameA === nameB ? 'duplicates.reason.name' : 'duplicates.reason.similar');
+        }
+
+        return null;
+    }
+
+    /**
+     * Contactos existentes que se parecen al indicado
+     */
+    static findMatches(contactData, contacts, excludeId = null) {
+        return contacts
+            .filter(contact => excludeId === null || Utils.getContactId(contact) !== excludeId)
+            .map(contact => ({ contact, reason: this.compare(contactData, contact) }))
+            .filter(match => match.reason !== null);
+    }
+
+    /**
+     * Agrupa los contactos que parecen el mismo (unión de pares parecidos)
+     */
+    static findGroups(contacts) {
+        const parent = contacts.map((_, index) => index);
+        const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+        const union = (a, b) => { parent[find(a)] = find(b); };
+
+        // Mismo teléfono: se agrupan directamente
+        const byPhone = new Map();
+        contacts.forEach((contact, index) => {
+            const phone = this.normalizePhone(contact.telefono);
+            if (!phone) return;
+            if (byPhone.has(phone)) {
+                union(index, byPhone.get(phone));
+            } else {
+                byPhone.set(phone, index);
+            }
+        });
+
+        // Nombres parecidos: solo se comparan los que empiezan igual
+        const byInitial = new Map();
+        contacts.forEach((contact, index) => {
+            const name = this.normalizeName(contact);
+            if (!name) return;
+            const bucket = byInitial.get(name[0]) || [];
+            bucket.push({ index, name });
+            byInitial.set(name[0], bucket);
+        });
+
+        byInitial.forEach(bucket => {
+            for (let i = 0; i < bucket.length; i++) {
+                for (let j = i + 1; j < bucket.length; j++) {
+                    if (this.nameSimilarity(bucket[i].name, bucket[j].name) >= this.NAME_THRESHOLD) {
+                        union(bucket[i].index, bucket[j].index);
+                    }
+                }
+            }
+        });
+
+        const groups = new Map();
+        contacts.forEach((contact, index) => {
+            const root = find(index);
+            groups.set(root, [...(groups.get(root) || []), contact]);
+        });
+
+        return [...groups.values()].filter(group => group.length > 1);
+    }
+
+    /**
+     * Combina los duplicados en el principal, completando los campos vacíos
+     */
+    static merge(primary, others) {
+        const merged = { ...primary };
+        const phones = [...ContactModel.getPhones(primary)];
+        const emails = [...(primary.emails || [])];
+
+        others.forEach(contact => {
+            Object.entries(contact).forEach(([field, value]) => {
+                const current = merged[field];
+                if (current === undefined || current === null || current === '') {
+                    merged[field] = value;
+                }
+            });
+
+            // Las listas se unen en lugar de rellenarse
+            ContactModel.getPhones(contact).forEach(phone => {
+                const number = this.normalizePhone(phone.numero);
+                if (!phones.some(item => this.normalizePhone(item.numero) === number)) {
+                    phones.push(phone);
+                }
+            });
+
+            (contact.emails || []).forEach(email => {
+                if (!emails.some(item => item.toLowerCase() === email.toLowerCase())) {
+                    emails.push(email);
+                }
+            });
+        });
+
+        merged.telefonos = phones;
+        merged.emails = emails;
+        merged.etiquetas = ContactTags.normalize([primary, ...others].flatMap(contact => contact.etiquetas || []));
+        merged.favorito = [primary, ...others].some(contact => contact.favorito);
+
+        return merged;
+    }
+}
+
+/**
+ * COMPARACIÓN ENTRE DOS VERSIONES DE LA LISTA
+ */
+export class ContactDiff {
+    /**
+     * Contactos añadidos, eliminados y modificados (por id)
+     */
+    static compare(previous, next) {
+        const before = new Map(previous.map(contact => [Utils.getContactId(contact), JSON.stringify(contact)]));
+        const after = new Map(next.map(contact => [Utils.getContactId(contact), JSON.stringify(contact)]));
+
+        const added = [...after.keys()].filter(id => !before.has(id));
+        const removed = [...before.keys()].filter(id => !after.has(id));
+        const changed = [...after.keys()].filter(id => before.has(id) && before.get(id) !== after.get(id));
+
+        return {
+            added,
+            removed,
+            changed,
+            changedIds: new Set([...added, ...changed]),
+            hasChanges: added.length + removed.length + changed.length > 0
+        };
+    }
+
+    /**
+     * Texto breve del tipo "3 nuevos contactos · 1 actualizado"
+     */
+    static describe({ added, removed, changed }) {
+        const parts = [];
+
+        if (added.length > 0) {
+            parts.push(t('changes.added', { count: added.length }));
+        }
+        if (changed.length > 0) {
+            parts.push(t('changes.updated', { count: changed.length }));
+        }
+        if (removed.length > 0) {
+            parts.push(t('changes.removed', { count: removed.length }));
+        }
+
+        return `🔄 ${parts.join(' · ')}`;
+    }
+}
@@ -0,0 +1,628 @@
+/**
+ * IMPORTACIÓN Y EXPORTACIÓN
+ * Lectura de CSV y vCard, asistente de importación y descarga de contactos
+ */
+
+import { Utils, SafeHtml, html } from './utils.js';
+import { Validator, PhoneNumber } from './validation.js';
+import { ContactModel, DuplicateDetector, ContactTags } from './contacts.js';
+import { MessageHandler } from './ui.js';
+import { I18n, t } from './i18n.js';
+
+/**
+ * LECTOR DE ARCHIVOS CSV
+ */
+export class CsvParser {
+    /**
+     * Detecta el separador más probable a partir de la primera línea
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        );
+    }
+
+    /**
+     * Convierte el texto en una lista de filas (soporta comillas y saltos de línea)
+     */
+    static parse(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(content);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Descartar filas vacías
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+}
+
+/**
+ * LECTOR DE ARCHIVOS vCard (3.0 y 4.0)
+ */
+export class VCardParser {
+    /**
+     * Indica si el texto parece un archivo vCard
+     */
+    static isVCard(text) {
+        return /^\s*BEGIN:VCARD/i.test(text.replace(/^\uFEFF/, ''));
+    }
+
+    /**
+     * Quita los escapes de un valor vCard
+     */
+    static unescape(value) {
+        return value
+            .replace(/\\n/gi, ' ')
+            .replace(/\\([,;\\])/g, '$1');
+    }
+
+    /**
+     * Divide un valor por un separador respetando los escapes
+     */
+    static splitValue(value, separator) {
+        return value.split(new RegExp(`(?<!\\\\)${separator}`)).map(part => this.unescape(part).trim());
+    }
+
+    static PHONE_TYPES = {
+        CELL: 'movil',
+        HOME: 'casa',
+        WORK: 'trabajo'
+    };
+
+    /**
+     * Convierte el texto en una lista de contactos del modelo de la agenda
+     */
+    static parse(text) {
+        // Deshacer el plegado de líneas (continuaciones que empiezan con espacio)
+        const lines = text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r?\n[ \t]/g, '')
+            .split(/\r?\n/);
+        
+        const contacts = [];
+        let card = null;
+
+        lines.forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const [rawName, ...params] = line.slice(0, separator).split(';');
+            const name = rawName.replace(/^[^.]+\./, '').toUpperCase();
+            const value = line.slice(separator + 1);
+
+            if (name === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+                card = { n: null, fn: '', phones: [], emails: [], adr: '', note: '', bday: '', categories: [] };
+            } else if (name === 'END' && card) {
+                contacts.push(this.toContact(card));
+                card = null;
+            } else if (card && name === 'N') {
+                card.n = this.splitValue(value, ';');
+            } else if (card && name === 'FN') {
+                card.fn = this.unescape(value).trim();
+            } else if (card && name === 'TEL') {
+                const types = params.join(';').toUpperCase();
+                const type = Object.keys(this.PHONE_TYPES).find(key => types.includes(key));
+                card.phones.push({
+                    number: value.replace(/^tel:/i, '').trim(),
+                    label: type ? this.PHONE_TYPES[type] : 'movil',
+                    preferred: /PREF|CELL/.test(types)
+                });
+            } else if (card && name === 'EMAIL') {
+                card.emails.push(value.trim());
+            } else if (card && name === 'ADR' && !card.adr) {
+                card.adr = this.splitValue(value, ';').filter(Boolean).join(', ');
+            } else if (card && name === 'NOTE') {
+                card.note = value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+            } else if (card && name === 'CATEGORIES') {
+                card.categories.push(...this.splitValue(value, ','));
+            } else if (card && name === 'BDAY') {
+                const digits = value.replace(/\D/g, '');
+                card.bday = digits.length === 8 ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6)}` : '';
+            }
+        });
+
+        return contacts;
+    }
+
+    /**
+     * Traduce una tarjeta leída al modelo de la agenda
+     */
+    static toContact(card) {
+        let nombre = '';
+        let apellido = '';
+
+        if (card.n && (card.n[0] || card.n[1])) {
+            apellido = card.n[0] || '';
+            nombre = [card.n[1], card.n[2]].filter(Boolean).join(' ');
+        } else if (card.fn) {
+            const parts = card.fn.split(/\s+/);
+            nombre = parts.shift() || '';
+            apellido = parts.join(' ');
+        }
+
+        // El teléfono preferido pasa a ser el principal
+        const phone = card.phones.find(item => item.preferred) || card.phones[0];
+        const phones = phone ? [phone, ...card.phones.filter(item => item !== phone)] : [];
+
+        return {
+            nombre,
+            apellido,
+            telefono: phone ? phone.number : '',
+            telefonos: phones.map(item => ({ etiqueta: item.label, numero: item.number })),
+            emails: card.emails,
+            direccion: card.adr,
+            notas: card.note,
+            cumpleanos: card.bday,
+            etiquetas: ContactTags.normalize(card.categories)
+        };
+    }
+}
+
+/**
+ * IMPORTACIÓN DE CONTACTOS DESDE ARCHIVOS
+ */
+export class ImportManager {
+    static FIELDS = {
+        nombre: { label: 'field.nombre', aliases: ['nombre', 'nombres', 'name', 'first name', 'firstname', 'given name'] },
+        apellido: { label: 'field.apellido', aliases: ['apellido', 'apellidos', 'last name', 'lastname', 'surname', 'family name'] },
+        telefono: { label: 'field.telefono', aliases: ['telefono', 'tel', 'phone', 'phone number', 'movil', 'celular', 'mobile'] },
+        email: { label: 'field.email', aliases: ['email', 'emails', 'e-mail', 'correo', 'correo electronico', 'mail'] },
+        direccion: { label: 'field.direccion', aliases: ['direccion', 'address', 'domicilio'] },
+        notas: { label: 'field.notas', aliases: ['notas', 'nota', 'notes', 'note', 'comentarios'] },
+        cumpleanos: { label: 'field.cumpleanos', aliases: ['cumpleanos', 'nacimiento', 'fecha de nacimiento', 'birthday', 'bday'] },
+        etiquetas: { label: 'field.etiquetas', aliases: ['etiquetas', 'etiqueta', 'grupos', 'grupo', 'tags', 'categories', 'categorias'] }
+    };
+
+    static BASE_FIELDS = ['nombre', 'apellido', 'telefono'];
+
+    constructor(agenda) {
+        this.agenda = agenda;
+        this.csvRows = [];
+        this.mapping = {};
+        this.candidates = [];
+        this.isImporting = false;
+
+        this.fileInput = document.getElementById('import-file');
+        this.mappingContainer = document.getElementById('import-mapping');
+        this.previewContainer = document.getElementById('import-preview');
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', (e) => this.handleFile(e.target.files[0]));
+        }
+    }
+
+    /**
+     * Lee el archivo elegido y prepara la vista previa
+     */
+    async handleFile(file) {
+        this.reset();
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+
+            if (VCardParser.isVCard(text)) {
+                this.candidates = VCardParser.parse(text);
+                this.renderPreview();
+            } else {
+                this.csvRows = CsvParser.parse(text);
+                if (this.csvRows.length === 0) {
+                    throw new Error(t('import.emptyFile'));
+                }
+                this.mapping = this.guessMapping(this.csvRows[0]);
+                this.renderMapping();
+                this.applyMapping();
+            }
+        } catch (error) {
+            console.error('Error al leer el archivo:', error);
+            MessageHandler.showError(t('import.readFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * Vacía el estado de la importación anterior
+     */
+    reset() {
+        this.csvRows = [];
+        this.mapping = {};
+        this.candidates = [];
+
+        if (this.mappingContainer) this.mappingContainer.replaceChildren();
+        if (this.previewContainer) this.previewContainer.replaceChildren();
+    }
+
+    /**
+     * Propone qué columna corresponde a cada campo según el encabezado
+     */
+    guessMapping(headerRow) {
+        const headers = headerRow.map(header => Utils.normalizeText(header.trim()));
+        const mapping = { hasHeader: false };
+
+        Object.entries(ImportManager.FIELDS).forEach(([field, config]) => {
+            const index = headers.findIndex(header => config.aliases.includes(header));
+            mapping[field] = index;
+            if (index !== -1) mapping.hasHeader = true;
+        });
+
+        // Sin encabezado reconocible: usar las tres primeras columnas en orden
+        if (!mapping.hasHeader) {
+            ImportManager.BASE_FIELDS.forEach((field, index) => {
+                mapping[field] = index < headerRow.length ? index : -1;
+            });
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Muestra los selectores de columna para el CSV
+     */
+    renderMapping() {
+        if (!this.mappingContainer) return;
+
+        const columns = this.csvRows[0].map((header, index) =>
+            this.mapping.hasHeader ? header.trim() || t('import.column', { index: index + 1 }) : t('import.column', { index: index + 1 })
+        );
+
+        const selects = Object.entries(ImportManager.FIELDS).map(([field, config]) => html`
+            <label>
+                ${t(config.label)}
+                <select data-field="${field}">
+                    <option value="-1">${t('import.noColumn')}</option>
+                    ${columns.map((column, index) => html`
+                        <option value="${index}" ${this.mapping[field] === index ? 'selected' : ''}>${column}</option>
+                    `)}
+                </select>
+            </label>
+        `);
+
+        SafeHtml.render(this.mappingContainer, html`
+            <div class="import-mapping">
+                ${selects}
+                <label class="import-header-toggle">
+                    <input type="checkbox" data-field="hasHeader" ${this.mapping.hasHeader ? 'checked' : ''}>
+                    ${t('import.hasHeader')}
+                </label>
+            </div>
+        `);
+
+        this.mappingContainer.querySelectorAll('[data-field]').forEach(control => {
+            control.addEventListener('change', () => {
+                const field = control.dataset.field;
+                this.mapping[field] = field === 'hasHeader' ? control.checked : Number(control.value);
+                this.applyMapping();
+            });
+        });
+    }
+
+    /**
+     * Convierte las filas del CSV en contactos según el mapeo elegido
+     */
+    applyMapping() {
+        const rows = this.mapping.hasHeader ? this.csvRows.slice(1) : this.csvRows;
+        // Sin el apóstrofo que protege de fórmulas las celdas exportadas
+        const cell = (row, field) => this.mapping[field] >= 0
+            ? (row[this.mapping[field]] || '').replace(/^'(?=[=+\-@\t\r])/, '')
+            : '';
+
+        this.candidates = rows.map(row => ({
+            nombre: cell(row, 'nombre'),
+            apellido: cell(row, 'apellido'),
+            telefono: cell(row, 'telefono'),
+            emails: cell(row, 'email').split(/[;,|\s]+/).filter(Boolean),
+            direccion: cell(row, 'direccion'),
+            notas: cell(row, 'notas'),
+            cumpleanos: cell(row, 'cumpleanos').trim(),
+            etiquetas: ContactTags.parse(cell(row, 'etiquetas'))
+        }));
+
+        this.renderPreview();
+    }
+
+    /**
+     * Valida cada fila y marca las inválidas y las duplicadas
+     */
+    classifyCandidates() {
+        const knownPhones = new Set(
+            this.agenda.getDisplayContacts().map(contact => DuplicateDetector.normalizePhone(contact.telefono))
+        );
+
+        return this.candidates.map(candidate => {
+            const contactData = {
+                ...candidate,
+                nombre: (candidate.nombre || '').trim(),
+                apellido: (candidate.apellido || '').trim(),
+                telefono: (candidate.telefono || '').trim()
+            };
+            const validation = Validator.validateContact(contactData);
+
+            if (!validation.isValid) {
+                return { contact: contactData, status: 'invalid', errors: validation.errors };
+            }
+
+            const contact = Validator.sanitizeContact(contactData);
+            const phone = DuplicateDetector.normalizePhone(contact.telefono);
+            if (knownPhones.has(phone)) {
+                return { contact, status: 'duplicate', errors: [t('import.duplicatePhone')] };
+            }
+
+            knownPhones.add(phone);
+            return { contact, status: 'valid', errors: [] };
+        });
+    }
+
+    /**
+     * Muestra la tabla de vista previa y el botón de importación
+     */
+    renderPreview() {
+        if (!this.previewContainer) return;
+
+        this.rows = this.classifyCandidates();
+        
+        const count = status => this.rows.filter(row => row.status === status).length;
+        const valid = count('valid');
+        const statusLabels = {
+            valid: t('import.status.valid'),
+            invalid: t('import.status.invalid'),
+            duplicate: t('import.status.duplicate')
+        };
+
+        const tableRows = this.rows.map((row, index) => html`
+            <tr class="import-row ${row.status}">
+                <td>${index + 1}</td>
+                <td>${row.contact.nombre}</td>
+                <td>${row.contact.apellido}</td>
+                <td>${row.contact.telefono}</td>
+                <td title="${row.errors.join('. ')}">${statusLabels[row.status]}</td>
+            </tr>
+        `);
+
+        SafeHtml.render(this.previewContainer, html`
+            <div class="import-summary">
+                ${t('import.summary', { count: this.rows.length, valid, invalid: count('invalid'), duplicate: count('duplicate') })}
+            </div>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr><th>#</th><th>${t('field.nombre')}</th><th>${t('field.apellido')}</th><th>${t('field.telefono')}</th><th>${t('import.status')}</th></tr>
+                    </thead>
+                    <tbody>${tableRows}</tbody>
+                </table>
+            </div>
+            <div class="import-actions">
+                <button type="button" class="btn" id="import-submit-btn" ${valid === 0 ? 'disabled' : ''}>
+                    ${t('import.submit', { count: valid })}
+                </button>
+                <div class="import-progress" hidden>
+                    <progress max="${valid}" value="0"></progress>
+                    <span class="import-progress-text"></span>
+                </div>
+            </div>
+        `);
+
+        const submitBtn = this.previewContainer.querySelector('#import-submit-btn');
+        submitBtn.addEventListener('click', () => this.importValidRows());
+    }
+
+    /**
+     * Envía las filas válidas una a una mostrando el progreso
+     */
+    async importValidRows() {
+        if (this.isImporting) return;
+        
+        const rows = this.rows.filter(row => row.status === 'valid');
+        if (rows.length === 0) return;
+
+        this.isImporting = true;
+
+        const submitBtn = this.previewContainer.querySelector('#import-submit-btn');
+        const progressBox = this.previewContainer.querySelector('.import-progress');
+        const progressBar = progressBox.querySelector('progress');
+        const progressText = progressBox.querySelector('.import-progress-text');
+        const failures = [];
+
+        submitBtn.disabled = true;
+        progressBox.hidden = false;
+        this.agenda.history.beginBatch(t('import.submit', { count: rows.length }));
+
+        for (const [index, row] of rows.entries()) {
+            progressText.textContent = `${I18n.formatNumber(index + 1)} / ${I18n.formatNumber(rows.length)}`;
+
+            try {
+                await this.agenda.addContact(row.contact, { silent: true });
+            } catch (error) {
+                console.error('Error al importar contacto:', error);
+                failures.push(`${row.contact.nombre} ${row.contact.apellido}: ${error.message}`);
+            }
+
+            progressBar.value = index + 1;
+        }
+
+        this.isImporting = false;
+        const batch = this.agenda.endHistoryBatch();
+
+        const imported = rows.length - failures.length;
+        if (failures.length === 0) {
+            const message = t('import.done', { count: imported });
+            
+            if (batch) {
+                MessageHandler.showUndo(message, () => this.agenda.undo());
+            } else {
+                MessageHandler.showSuccess(message);
+            }
+        } else {
+            MessageHandler.showError(html`${t('import.partial', { imported, failed: failures.length })}<br>${SafeHtml.join(failures, html`<br>`)}`);
+        }
+
+        if (this.fileInput) {
+            this.fileInput.value = '';
+        }
+        this.reset();
+        await this.agenda.loadContacts(true);
+    }
+}
+
+/**
+ * EXPORTACIÓN DE CONTACTOS A ARCHIVOS
+ */
+export class ContactExporter {
+    static FORMATS = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', serialize: contacts => ContactExporter.toCSV(contacts) },
+        vcard: { extension: 'vcf', mimeType: 'text/vcard;charset=utf-8', serialize: contacts => ContactExporter.toVCard(contacts) },
+        json: { extension: 'json', mimeType: 'application/json;charset=utf-8', serialize: contacts => ContactExporter.toJSON(contacts) }
+    };
+
+    static VCARD_PHONE_TYPES = {
+        movil: 'CELL',
+        casa: 'HOME',
+        trabajo: 'WORK'
+    };
+
+    /**
+     * Deja solo los campos exportables, con los teléfonos en formato internacional
+     */
+    static normalize(contact) {
+        const telefonos = ContactModel.getPhones(contact).map(phone => ({
+            etiqueta: phone.etiqueta || 'movil',
+            numero: PhoneNumber.format(phone.numero || '', 'international')
+        }));
+
+        return {
+            nombre: (contact.nombre || '').trim(),
+            apellido: (contact.apellido || '').trim(),
+            telefono: telefonos.length > 0 ? telefonos[0].numero : '',
+            telefonos,
+            emails: contact.emails || [],
+            direccion: contact.direccion || '',
+            notas: contact.notas || '',
+            cumpleanos: contact.cumpleanos || '',
+            etiquetas: contact.etiquetas || [],
+            favorito: Boolean(contact.favorito)
+        };
+    }
+
+    // Celdas que la hoja de cálculo podría leer como fórmula
+    static FORMULA_START = /^[=+\-@\t\r]/;
+
+    // Teléfonos con formato (+1 (809) 555-1234; …): solo dígitos y signos
+    static PHONE_CELL = /^[+\d\s()\-;]+$/;
+
+    /**
+     * Escapa un campo CSV cuando contiene separadores, comillas o saltos.
+     * Los que empiezan por = + - @ llevan un apóstrofo delante para que la
+     * hoja de cálculo no los lea como fórmulas, salvo los teléfonos bien
+     * formados, que deben llegar intactos a las agendas que importen el archivo.
+     */
+    static escapeCsv(value, { phone = false } = {}) {
+        if (this.FORMULA_START.test(value) && !(phone && this.PHONE_CELL.test(value))) {
+            return `"'${value.replace(/"/g, '""')}"`;
+        }
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    static toCSV(contacts) {
+        const lines = contacts
+            .map(contact => this.normalize(contact))
+            .map(contact => [
+                this.escapeCsv(contact.nombre),
+                this.escapeCsv(contact.apellido),
+                this.escapeCsv(contact.telefono, { phone: true }),
+                this.escapeCsv(contact.telefonos.slice(1).map(phone => phone.numero).join('; '), { phone: true }),
+                this.escapeCsv(contact.emails.join('; ')),
+                this.escapeCsv(contact.direccion),
+                this.escapeCsv(contact.notas),
+                this.escapeCsv(contact.cumpleanos),
+                this.escapeCsv(contact.etiquetas.join('; ')),
+                contact.favorito ? 'si' : ''
+            ].join(','));
+
+        const header = 'nombre,apellido,telefono,otros_telefonos,emails,direccion,notas,cumpleanos,etiquetas,favorito';
+
+        // El BOM permite que Excel reconozca los acentos
+        return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escapa un valor de texto vCard
+     */
+    static escapeVCard(value) {
+        return value.replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+    }
+
+    static toVCard(contacts) {
+        return contacts
+            .map(contact => this.normalize(contact))
+            .map(contact => [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `N:${this.escapeVCard(contact.apellido)};${this.escapeVCard(contact.nombre)};;;`,
+                `FN:${this.escapeVCard(`${contact.nombre} ${contact.apellido}`.trim())}`,
+                ...contact.telefonos.map(phone => `TEL;TYPE=${this.VCARD_PHONE_TYPES[phone.etiqueta] || 'CELL'}:${phone.numero}`),
+                ...contact.emails.map(email => `EMAIL;TYPE=INTERNET:${email}`),
+                ...(contact.direccion ? [`ADR;TYPE=HOME:;;${this.escapeVCard(contact.direccion)};;;;`] : []),
+                ...(contact.cumpleanos ? [`BDAY:${contact.cumpleanos}`] : []),
+                ...(contact.notas ? [`NOTE:${this.escapeVCard(contact.notas)}`] : []),
+                ...(contact.etiquetas.length > 0 ? [`CATEGORIES:${contact.etiquetas.map(tag => this.escapeVCard(tag)).join(',')}`] : []),
+                'END:VCARD'
+            ].join('\r\n'))
+            .join('\r\n') + '\r\n';
+    }
+
+    static toJSON(contacts) {
+        return JSON.stringify(contacts.map(contact => this.normalize(contact)), null, 2);
+    }
+
+    /**
+     * Genera el archivo y lo descarga; devuelve el nombre usado
+     */
+    static export(contacts, format) {
+        const config = this.FORMATS[format];
+        if (!config) {
+            throw new Error(`Formato desconocido: ${format}`);
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `agenda-${date}.${config.extension}`;
+        
+        Utils.downloadFile(config.serialize(contacts), filename, config.mimeType);
+        return filename;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * TRADUCCIONES
+ * Catálogos de mensajes por idioma, plurales con Intl.PluralRules y
+ * comparación de textos con Intl.Collator según el idioma elegido
+ */
+
+import { LOCALE_STORAGE_KEY } from './config.js';
+import { es } from './locales/es.js';
+import { en } from './locales/en.js';
+
+export class I18n {
+    static CATALOGS = { es, en };
+
+    // Nombre de cada idioma en su propio idioma, para el selector
+    static LANGUAGES = { es: 'Español', en: 'English' };
+
+    static DEFAULT_LOCALE = 'es';
+
+    static locale = I18n.DEFAULT_LOCALE;
+
+    // Objetos Intl del idioma activo; se crean al primer uso
+    static formatters = new Map();
+
+    /**
+     * Idioma guardado, o el primero del navegador que tenga catálogo
+     */
+    static detectLocale() {
+        const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (this.CATALOGS[stored]) return stored;
+
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language || ''];
+        const match = preferred
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => this.CATALOGS[language]);
+
+        return match || this.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Cambia el idioma activo y lo recuerda. Devuelve false si no hay catálogo.
+     */
+    static setLocale(locale, { save = true } = {}) {
+        if (!this.CATALOGS[locale]) return false;
+
+        this.locale = locale;
+        this.formatters.clear();
+        document.documentElement.lang = locale;
+
+        if (save) {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        }
+        return true;
+    }
+
+    /**
+     * Texto de una clave con sus parámetros {nombre}. Si la entrada tiene
+     * formas de plural, params.count elige la forma según el idioma.
+     */
+    static t(key, params = {}) {
+        let message = this.lookup(key);
+
+        if (message === undefined) {
+            console.warn(`Traducción no encontrada: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = this.getPluralRules().select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Entrada del catálogo activo; si falta, la del idioma por defecto
+     */
+    static lookup(key) {
+        const catalog = this.CATALOGS[this.locale];
+        if (catalog[key] !== undefined) return catalog[key];
+        return this.CATALOGS[this.DEFAULT_LOCALE][key];
+    }
+
+    /**
+     * Devuelve el objeto Intl del idioma activo, creándolo una vez
+     */
+    static getFormatter(name, create) {
+        if (!this.formatters.has(name)) {
+            this.formatters.set(name, create(this.locale));
+        }
+        return this.formatters.get(name);
+    }
+
+    static getPluralRules() {
+        return this.getFormatter('plural', locale => new Intl.PluralRules(locale));
+    }
+
+    /**
+     * Comparador para ordenar nombres y etiquetas según el idioma
+     */
+    static getCollator() {
+        return this.getFormatter('collator', locale => new Intl.Collator(locale, { sensitivity: 'base', numeric: true }));
+    }
+
+    static formatNumber(value) {
+        return this.getFormatter('number', locale => new Intl.NumberFormat(locale)).format(value);
+    }
+
+    static formatDate(date, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        return date.toLocaleDateString(this.locale, options);
+    }
+
+    static formatDateTime(date) {
+        return date.toLocaleString(this.locale);
+    }
+
+    static formatTime(date) {
+        return date.toLocaleTimeString(this.locale);
+    }
+
+    /**
+     * Traduce los textos fijos del HTML: data-i18n cambia el texto y
+     * data-i18n-placeholder, data-i18n-title y data-i18n-aria-label los atributos
+     */
+    static translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']]
+            .forEach(([dataKey, attribute]) => {
+                const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+                root.querySelectorAll(selector).forEach(element => {
+                    element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+                });
+            });
+    }
+}
+
+/**
+ * Atajo para I18n.t en las plantillas
+ */
+export function t(key, params) {
+    return I18n.t(key, params);
+}
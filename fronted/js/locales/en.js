@@ -0,0 +1,315 @@
+/**
+ * MENSAJES EN INGLÉS
+ * Las claves que falten se muestran con el texto en español.
+ */
+
+export const en = {
+    // Página
+    'app.title': 'My Contacts - Contact Manager',
+    'app.heading': '📱 My Personal Contacts',
+    'app.tagline': 'Manage your contacts quickly and easily',
+    'nav.label': 'Sections',
+    'nav.contacts': '📋 Contacts',
+    'nav.new': '➕ New',
+    'nav.settings': '⚙️ Settings',
+    'language.label': 'Language',
+    'form.title.new': '➕ Add New Contact',
+    'form.title.edit': '✏️ Edit Contact',
+    'form.label.nombre': 'First name:',
+    'form.label.apellido': 'Last name:',
+    'form.label.telefono': 'Phones:',
+    'form.label.etiquetas': 'Tags:',
+    'form.label.email': 'Emails:',
+    'form.label.direccion': 'Address:',
+    'form.label.cumpleanos': 'Birthday:',
+    'form.label.notas': 'Notes:',
+    'form.addPhone': '➕ Add phone',
+    'form.tagsPlaceholder': 'family, work, clients',
+    'form.favorite': '⭐ Mark as favorite',
+    'form.extraFields': 'More details (email, address, notes, birthday)',
+    'form.addEmail': '➕ Add email',
+    'form.submit.new': 'Save Contact',
+    'form.submit.edit': 'Update Contact',
+    'form.submit.saving': 'Saving...',
+    'form.cancel': 'Cancel',
+    'contacts.heading': '📋 Contact List',
+    'contacts.refresh': '🔄 Refresh',
+    'export.button': '📤 Export',
+    'export.scope.all': 'All',
+    'export.scope.filtered': 'Filtered only',
+    'search.placeholder': '🔍 Search by name, last name or phone...',
+    'search.label': 'Search contacts',
+    'shortcuts.help': 'Shortcuts: / search · N new contact · arrow keys to move between cards · Enter to open',
+    'sort.label': 'Sort contacts',
+    'sort.nombre': 'Sort by first name',
+    'sort.apellido': 'Sort by last name',
+    'sort.fecha': 'Sort by date added',
+    'filter.label': 'Filter by tag',
+    'contacts.loading': 'Loading contacts...',
+    'duplicates.heading': '🧬 Duplicate Contacts',
+    'duplicates.help': 'Groups contacts with the same phone or a very similar name. Choose which one to keep and merge them.',
+    'duplicates.find': '🔍 Find duplicates',
+    'problems.heading': '🩺 Problem Records',
+    'problems.help': 'These records arrived from the source with incomplete or malformed data and are not shown in the list.',
+    'history.heading': '🕘 Change History',
+    'history.undo': '↩️ Undo',
+    'history.undoTitle': 'Undo (Ctrl+Z)',
+    'history.redo': '↪️ Redo',
+    'history.redoTitle': 'Redo (Ctrl+Shift+Z)',
+    'import.heading': '📥 Import Contacts',
+    'import.fileLabel': 'CSV or vCard file (.vcf):',
+    'settings.heading': '⚙️ Settings',
+    'settings.dataSource': 'Data source:',
+    'settings.restUrl': 'REST endpoint URL:',
+    'settings.refreshInterval': 'Auto refresh:',
+    'settings.auth': 'Sign-in:',
+    'settings.authUrl': 'Sign-in service URL:',
+    'settings.apply': 'Apply',
+
+    // Aplicación
+    'app.unexpectedError': 'An unexpected error occurred. Please reload the page.',
+    'app.connectionError': 'Connection error. Check your internet connection.',
+    'offline.restored': 'Connection restored',
+
+    // Interfaz
+    'error.actionFailed': 'Could not {action}: {message}',
+    'error.loadTitle': 'Error loading contacts',
+    'action.retry': '🔄 Retry',
+    'error.title.timeout': 'The server is taking too long',
+    'error.title.http': 'The server returned an error',
+    'error.title.payload': 'Unexpected server response',
+    'cors.title': 'CORS Error Detected',
+    'cors.description': 'Cannot connect to the API because of CORS restrictions.',
+    'cors.solutions': '🔧 Quick Fixes:',
+    'cors.proxy.title': 'Option 1: Use a CORS Proxy',
+    'cors.proxy.text': 'In ⚙️ Settings choose "Configurable REST" and use one of the suggested proxy URLs',
+    'cors.server.title': 'Option 2: Local Server',
+    'cors.server.text': 'Use Live Server in VS Code or run a local HTTP server',
+    'cors.extension.title': 'Option 3: Browser Extension',
+    'cors.extension.text': 'Install "CORS Unblock" or "Disable CORS" (development only)',
+    'cors.chrome.title': 'Option 4: Chrome with CORS Disabled',
+    'cors.chrome.text': 'Run Chrome with:',
+    'cors.useTestData': '📝 Use Test Data',
+    'group.favorites': '{icon} Favorites',
+    'group.all': 'All',
+    'group.index': 'Alphabetical index',
+    'card.favorite': 'Mark as favorite',
+    'card.unfavorite': 'Remove from favorites',
+    'card.call': 'Call',
+    'card.edit': 'Edit',
+    'card.tags': 'Tags',
+    'card.delete': 'Delete',
+    'card.filterByTag': 'Filter by this tag',
+    'card.callNamed': 'Call {name}',
+    'card.editNamed': 'Edit {name}',
+    'card.tagsNamed': 'Tags for {name}',
+    'card.deleteNamed': 'Delete {name}',
+    'contacts.gridLabel': 'Contacts',
+    'filter.favorites': '⭐ Favorites ({count})',
+    'filter.tag': '🏷️ {tag} ({count})',
+    'filter.clear': '✖ Clear filters',
+    'card.moreDetails': '▾ More details',
+    'card.lessDetails': '▴ Fewer details',
+    'history.empty': 'No changes in this session yet.',
+    'history.changes': { one: '({count} change)', other: '({count} changes)' },
+    'history.undone': 'undone',
+    'detail.back': '← Back to the list',
+    'detail.loading': 'Loading contact...',
+    'detail.notFound': 'Contact not found',
+    'detail.notFoundHelp': 'It may have been deleted or the link may be wrong.',
+    'detail.pageTitle': '{name} - My Contacts',
+    'detail.call': '📞 Call',
+    'detail.edit': '✏️ Edit',
+    'detail.copyLink': '🔗 Copy link',
+    'detail.delete': '🗑️ Delete',
+    'sync.failed': '⚠️ Could not sync',
+    'sync.pending': '⏳ Pending',
+    'sync.retry': 'Retry',
+    'sync.discard': 'Discard',
+    'empty.title': 'No contacts yet',
+    'empty.text': 'Add your first contact using the form above',
+    'duplicates.none': '✅ No duplicates found',
+    'duplicates.group': { one: 'Group {index} · {count} contact', other: 'Group {index} · {count} contacts' },
+    'duplicates.merge': '🔗 Merge into the selected one',
+    'search.noResults': 'No results',
+    'search.noMatches': 'No contact matches "{query}"',
+    'form.phoneType': 'Phone type',
+    'form.phoneCountry': 'Phone country',
+    'form.example': 'e.g. {example}',
+    'form.extraPhone': 'Additional phone',
+    'form.removePhone': 'Remove phone',
+    'form.emailPlaceholder': 'name@example.com',
+    'form.extraEmail': 'Additional email',
+    'form.removeEmail': 'Remove email',
+    'contacts.count': { one: '{count} contact', other: '{count} contacts' },
+    'contacts.countFiltered': { one: '{visible} of {count} contact', other: '{visible} of {count} contacts' },
+
+    // Agenda
+    'refresh.retrying': '⚠️ Could not refresh. Retrying in {seconds} s',
+    'duplicates.saveCancelled': 'Save cancelled: review the duplicate contacts',
+    'duplicates.confirm': '"{name}" looks like:\n\n{matches}\n\nSave anyway?',
+    'form.editMissing': 'The contact you are trying to edit does not exist',
+    'contacts.refreshing': 'Refreshing contacts...',
+    'contacts.loadedWithProblems': { one: '{count} contact loaded; {problems} records with problems were set aside', other: '{count} contacts loaded; {problems} records with problems were set aside' },
+    'contacts.loaded': { one: '{count} contact loaded', other: '{count} contacts loaded' },
+    'action.loadList': 'load the contact list',
+    'offline.noCache': 'Offline and no contacts saved on this device',
+    'offline.title': 'No internet connection',
+    'offline.showingCache': 'Offline: showing contacts saved on {date}',
+    'write.add': 'add the contact',
+    'write.update': 'update the contact',
+    'write.delete': 'delete the contact',
+    'write.merge': 'merge the contact',
+    'contact.added': 'Contact "{name}" added successfully',
+    'offline.queued': 'Offline: "{name}" will be sent when the connection is back',
+    'sync.synced': 'Pending contacts synced: {count}',
+    'sync.unsynced': 'Contacts not synced: {count}. Use "Retry" on their card.',
+    'offline.willRetry': 'No internet connection. It will be retried once it is back.',
+    'sync.contactSynced': 'Contact "{name}" synced',
+    'sync.error': 'Could not sync: {message}',
+    'sync.confirmDiscard': 'Discard the pending contact "{name}"?',
+    'contact.updated': 'Contact "{name}" updated successfully',
+    'contact.confirmDelete': 'Delete the contact "{name}"?',
+    'contact.deleted': 'Contact "{name}" deleted',
+    'tags.prompt': 'Comma-separated tags (e.g. family, work):',
+    'history.add': 'Add "{name}"',
+    'history.update': 'Edit "{name}"',
+    'history.delete': 'Delete "{name}"',
+    'history.offlineUndo': 'Offline: cannot undo right now',
+    'history.offlineRedo': 'Offline: cannot redo right now',
+    'history.undoneMessage': '↩️ Undone: {label}',
+    'history.redoneMessage': '↪️ Redone: {label}',
+    'history.undoFailed': 'Could not undo the change: {message}',
+    'history.redoFailed': 'Could not redo the change: {message}',
+    'duplicates.confirmMerge': 'Merge {count} contacts into "{name}"? {removed} will be deleted.',
+    'history.merge': 'Merge {count} contacts into "{name}"',
+    'duplicates.merged': 'Contacts merged into "{name}"',
+    'duplicates.nothingToMerge': 'Nothing to merge: this group no longer has other contacts',
+    'settings.invalidUrl': 'Enter a valid URL for the REST endpoint',
+    'settings.saved': 'Settings saved',
+    'settings.sourceChanged': 'Data source: {source}',
+    'export.empty': 'There are no contacts to export',
+    'export.done': { one: '{count} contact exported to {filename}', other: '{count} contacts exported to {filename}' },
+    'export.failed': 'Could not export: {message}',
+
+    // Contactos
+    'duplicates.reason.phone': 'same phone',
+    'duplicates.reason.name': 'same name',
+    'duplicates.reason.similar': 'similar name',
+    'changes.added': { one: '{count} new contact', other: '{count} new contacts' },
+    'changes.updated': { one: '{count} updated', other: '{count} updated' },
+    'changes.removed': { one: '{count} deleted', other: '{count} deleted' },
+    'phone.label.movil': '📱 Mobile',
+    'phone.label.casa': '🏠 Home',
+    'phone.label.trabajo': '💼 Work',
+
+    // Validación
+    'schema.notObject': 'The record is not an object',
+    'schema.invalidId': 'The id is not valid',
+    'schema.notText': 'The field "{field}" is not text',
+    'schema.phoneNotText': 'The phone is not text',
+    'schema.missing': 'The field "{field}" is missing',
+    'schema.tooLong': 'The field "{field}" exceeds {max} characters',
+    'schema.phoneNoDigits': 'The phone has no digits',
+    'schema.unnamed': 'Unnamed record',
+    'country.DO': 'Dominican Republic',
+    'country.PR': 'Puerto Rico',
+    'country.US': 'United States / Canada',
+    'country.MX': 'Mexico',
+    'country.CO': 'Colombia',
+    'country.VE': 'Venezuela',
+    'country.HT': 'Haiti',
+    'country.ES': 'Spain',
+    'validation.nombre.required': 'First name is required',
+    'validation.nombre.invalid': 'First name must contain only letters and be 2 to 50 characters long',
+    'validation.apellido.required': 'Last name is required',
+    'validation.apellido.invalid': 'Last name must contain only letters and be 2 to 50 characters long',
+    'validation.phone.required': 'Phone is required',
+    'validation.phone.invalid': 'The phone is not valid for {country} (e.g. {example})',
+    'validation.phone.invalidN': 'Phone {number} is not valid for {country} (e.g. {example})',
+    'validation.email.invalid': 'The email "{email}" is not valid',
+    'validation.direccion.tooLong': 'The address cannot exceed {max} characters',
+    'validation.notas.tooLong': 'Notes cannot exceed {max} characters',
+    'validation.cumpleanos.invalid': 'The birthday must be a valid date that is not in the future',
+    'validation.etiquetas.tooMany': 'No more than {max} tags are allowed',
+    'validation.etiquetas.tooLong': 'Each tag can be at most {max} characters long',
+    'validation.summary': { one: 'Check the highlighted field', other: 'Check the {count} highlighted fields' },
+
+    // Acceso a datos
+    'error.network': 'Could not reach the server. Check your internet connection.',
+    'error.cors': 'The server does not allow requests from this page (CORS). Use a CORS proxy or the test data.',
+    'error.timeout': 'The server did not respond within {seconds} s. Try again later.',
+    'http.400': 'The request is not valid',
+    'http.401': 'You need to sign in',
+    'http.403': 'You are not allowed to do this',
+    'http.404': 'The resource does not exist on the server',
+    'http.409': 'The contact changed on the server; reload the list',
+    'http.422': 'The server rejected the data sent',
+    'http.429': 'Too many requests; wait a moment',
+    'http.server': 'Internal server error',
+    'http.rejected': 'The server rejected the request',
+    'error.payload': 'The server response is not in the expected format: {detail}',
+    'error.cancelled': 'The request was cancelled',
+    'source.raydelto': 'raydelto.org API',
+    'source.rest': 'Configurable REST',
+    'source.memory': 'Test data (memory)',
+    'source.localStorage': 'Local storage',
+    'refresh.off': 'Off',
+    'refresh.seconds': 'Every {count} s',
+    'refresh.minutes': 'Every {count} min',
+    'error.payload.json': 'it is not valid JSON',
+    'error.payload.list': 'a list of contacts was expected',
+
+    // Archivos
+    'field.nombre': 'First name',
+    'field.apellido': 'Last name',
+    'field.telefono': 'Phone',
+    'field.email': 'Email',
+    'field.direccion': 'Address',
+    'field.notas': 'Notes',
+    'field.cumpleanos': 'Birthday',
+    'field.etiquetas': 'Tags',
+    'import.emptyFile': 'The file is empty',
+    'import.readFailed': 'Could not read the file: {message}',
+    'import.column': 'Column {index}',
+    'import.noColumn': '(none)',
+    'import.hasHeader': 'The first row is a header',
+    'import.duplicatePhone': 'The phone already exists in the contacts or in the file',
+    'import.status.valid': '✅ Valid',
+    'import.status.invalid': '❌ Invalid',
+    'import.status.duplicate': '⚠️ Duplicate',
+    'import.summary': { one: '{count} row: {valid} valid, {invalid} invalid, {duplicate} duplicate', other: '{count} rows: {valid} valid, {invalid} invalid, {duplicate} duplicate' },
+    'import.status': 'Status',
+    'import.submit': { one: 'Import {count} contact', other: 'Import {count} contacts' },
+    'import.done': { one: '{count} contact imported', other: '{count} contacts imported' },
+    'import.partial': 'Imported: {imported}. Failed {failed}:',
+
+    // Utilidades
+    'clipboard.copied': 'Copied to clipboard',
+    'clipboard.failed': 'Could not copy to clipboard',
+
+    // Aplicación instalable
+    'pwa.updateAvailable': '🆕 A new version of the app is available',
+    'pwa.update': '🔄 Update',
+    'pwa.offlineReady': 'The app can now be opened offline',
+
+    // Sesiones
+    'login.heading': '🔐 Sign in',
+    'login.user': 'User:',
+    'login.password': 'Password:',
+    'login.submit': 'Sign in',
+    'login.help.local': 'Local stand-in: any user name and password opens a separate agenda in this browser.',
+    'login.help.remote': 'Sign in with your {host} account.',
+    'login.missing': 'Enter your user name and password',
+    'login.invalid': 'Wrong user name or password',
+    'action.login': 'sign in',
+    'auth.none': 'No sign-in (shared agenda)',
+    'auth.local': 'Local stand-in, no server',
+    'auth.remote': 'Token sign-in service',
+    'auth.badResponse': 'the sign-in response has no token or user',
+    'auth.expired': 'Your session has expired. Sign in again to continue.',
+    'auth.loggedOut': 'Signed out',
+    'auth.logout': '🚪 Sign out',
+    'auth.menu': 'Account: {name}',
+    'settings.invalidAuthUrl': 'Enter a valid URL for the sign-in service'
+};
@@ -0,0 +1,316 @@
+/**
+ * MENSAJES EN ESPAÑOL
+ * Idioma por defecto: toda clave debe existir aquí. Las entradas con
+ * { one, other } son plurales; {nombre} se sustituye por el parámetro.
+ */
+
+export const es = {
+    // Página
+    'app.title': 'Mi Agenda - Gestión de Contactos',
+    'app.heading': '📱 Mi Agenda Personal',
+    'app.tagline': 'Gestiona tus contactos de forma fácil y rápida',
+    'nav.label': 'Secciones',
+    'nav.contacts': '📋 Contactos',
+    'nav.new': '➕ Nuevo',
+    'nav.settings': '⚙️ Configuración',
+    'language.label': 'Idioma',
+    'form.title.new': '➕ Agregar Nuevo Contacto',
+    'form.title.edit': '✏️ Editar Contacto',
+    'form.label.nombre': 'Nombre:',
+    'form.label.apellido': 'Apellido:',
+    'form.label.telefono': 'Teléfonos:',
+    'form.label.etiquetas': 'Etiquetas:',
+    'form.label.email': 'Correos electrónicos:',
+    'form.label.direccion': 'Dirección:',
+    'form.label.cumpleanos': 'Cumpleaños:',
+    'form.label.notas': 'Notas:',
+    'form.addPhone': '➕ Añadir teléfono',
+    'form.tagsPlaceholder': 'familia, trabajo, clientes',
+    'form.favorite': '⭐ Marcar como favorito',
+    'form.extraFields': 'Más datos (correo, dirección, notas, cumpleaños)',
+    'form.addEmail': '➕ Añadir correo',
+    'form.submit.new': 'Guardar Contacto',
+    'form.submit.edit': 'Actualizar Contacto',
+    'form.submit.saving': 'Guardando...',
+    'form.cancel': 'Cancelar',
+    'contacts.heading': '📋 Lista de Contactos',
+    'contacts.refresh': '🔄 Actualizar',
+    'export.button': '📤 Exportar',
+    'export.scope.all': 'Todos',
+    'export.scope.filtered': 'Solo filtrados',
+    'search.placeholder': '🔍 Buscar por nombre, apellido o teléfono...',
+    'search.label': 'Buscar contactos',
+    'shortcuts.help': 'Atajos: / buscar · N nuevo contacto · flechas para moverse entre tarjetas · Intro para abrir',
+    'sort.label': 'Ordenar contactos',
+    'sort.nombre': 'Ordenar por nombre',
+    'sort.apellido': 'Ordenar por apellido',
+    'sort.fecha': 'Ordenar por fecha de alta',
+    'filter.label': 'Filtrar por etiqueta',
+    'contacts.loading': 'Cargando contactos...',
+    'duplicates.heading': '🧬 Contactos Duplicados',
+    'duplicates.help': 'Agrupa los contactos con el mismo teléfono o un nombre muy parecido. Elige cuál conservar y fusiónalos.',
+    'duplicates.find': '🔍 Buscar duplicados',
+    'problems.heading': '🩺 Registros con Problemas',
+    'problems.help': 'Estos registros llegaron de la fuente con datos incompletos o mal formados y no se muestran en la lista.',
+    'history.heading': '🕘 Historial de Cambios',
+    'history.undo': '↩️ Deshacer',
+    'history.undoTitle': 'Deshacer (Ctrl+Z)',
+    'history.redo': '↪️ Rehacer',
+    'history.redoTitle': 'Rehacer (Ctrl+Shift+Z)',
+    'import.heading': '📥 Importar Contactos',
+    'import.fileLabel': 'Archivo CSV o vCard (.vcf):',
+    'settings.heading': '⚙️ Configuración',
+    'settings.dataSource': 'Fuente de datos:',
+    'settings.restUrl': 'URL del endpoint REST:',
+    'settings.refreshInterval': 'Actualización automática:',
+    'settings.auth': 'Inicio de sesión:',
+    'settings.authUrl': 'URL del servicio de sesiones:',
+    'settings.apply': 'Aplicar',
+
+    // Aplicación
+    'app.unexpectedError': 'Ha ocurrido un error inesperado. Por favor, recarga la página.',
+    'app.connectionError': 'Error de conexión. Verifica tu conexión a internet.',
+    'offline.restored': 'Conexión restaurada',
+
+    // Interfaz
+    'error.actionFailed': 'No se pudo {action}: {message}',
+    'error.loadTitle': 'Error al cargar contactos',
+    'action.retry': '🔄 Reintentar',
+    'error.title.timeout': 'El servidor tarda demasiado',
+    'error.title.http': 'El servidor devolvió un error',
+    'error.title.payload': 'Respuesta inesperada del servidor',
+    'cors.title': 'Error de CORS Detectado',
+    'cors.description': 'No se puede conectar con la API debido a restricciones de CORS.',
+    'cors.solutions': '🔧 Soluciones Rápidas:',
+    'cors.proxy.title': 'Opción 1: Usar Proxy CORS',
+    'cors.proxy.text': 'En ⚙️ Configuración elige "REST configurable" y usa una de las URLs de proxy sugeridas',
+    'cors.server.title': 'Opción 2: Servidor Local',
+    'cors.server.text': 'Usa Live Server en VS Code o ejecuta un servidor HTTP local',
+    'cors.extension.title': 'Opción 3: Extensión de Navegador',
+    'cors.extension.text': 'Instala "CORS Unblock" o "Disable CORS" (solo para desarrollo)',
+    'cors.chrome.title': 'Opción 4: Chrome con CORS Deshabilitado',
+    'cors.chrome.text': 'Ejecuta Chrome con:',
+    'cors.useTestData': '📝 Usar Datos de Prueba',
+    'group.favorites': '{icon} Favoritos',
+    'group.all': 'Todos',
+    'group.index': 'Índice alfabético',
+    'card.favorite': 'Marcar como favorito',
+    'card.unfavorite': 'Quitar de favoritos',
+    'card.call': 'Llamar',
+    'card.edit': 'Editar',
+    'card.tags': 'Etiquetas',
+    'card.delete': 'Eliminar',
+    'card.filterByTag': 'Filtrar por esta etiqueta',
+    'card.callNamed': 'Llamar a {name}',
+    'card.editNamed': 'Editar {name}',
+    'card.tagsNamed': 'Etiquetas de {name}',
+    'card.deleteNamed': 'Eliminar {name}',
+    'contacts.gridLabel': 'Contactos',
+    'filter.favorites': '⭐ Favoritos ({count})',
+    'filter.tag': '🏷️ {tag} ({count})',
+    'filter.clear': '✖ Quitar filtros',
+    'card.moreDetails': '▾ Más detalles',
+    'card.lessDetails': '▴ Menos detalles',
+    'history.empty': 'Todavía no hay cambios en esta sesión.',
+    'history.changes': { one: '({count} cambio)', other: '({count} cambios)' },
+    'history.undone': 'deshecho',
+    'detail.back': '← Volver a la lista',
+    'detail.loading': 'Cargando contacto...',
+    'detail.notFound': 'Contacto no encontrado',
+    'detail.notFoundHelp': 'Puede que se haya eliminado o que el enlace no sea correcto.',
+    'detail.pageTitle': '{name} - Mi Agenda',
+    'detail.call': '📞 Llamar',
+    'detail.edit': '✏️ Editar',
+    'detail.copyLink': '🔗 Copiar enlace',
+    'detail.delete': '🗑️ Eliminar',
+    'sync.failed': '⚠️ No se pudo sincronizar',
+    'sync.pending': '⏳ Pendiente',
+    'sync.retry': 'Reintentar',
+    'sync.discard': 'Descartar',
+    'empty.title': 'No hay contactos',
+    'empty.text': 'Agrega tu primer contacto usando el formulario de arriba',
+    'duplicates.none': '✅ No se encontraron duplicados',
+    'duplicates.group': { one: 'Grupo {index} · {count} contacto', other: 'Grupo {index} · {count} contactos' },
+    'duplicates.merge': '🔗 Fusionar en el seleccionado',
+    'search.noResults': 'Sin resultados',
+    'search.noMatches': 'Ningún contacto coincide con "{query}"',
+    'form.phoneType': 'Tipo de teléfono',
+    'form.phoneCountry': 'País del teléfono',
+    'form.example': 'ej. {example}',
+    'form.extraPhone': 'Teléfono adicional',
+    'form.removePhone': 'Quitar teléfono',
+    'form.emailPlaceholder': 'nombre@ejemplo.com',
+    'form.extraEmail': 'Correo adicional',
+    'form.removeEmail': 'Quitar correo',
+    'contacts.count': { one: '{count} contacto', other: '{count} contactos' },
+    'contacts.countFiltered': { one: '{visible} de {count} contacto', other: '{visible} de {count} contactos' },
+
+    // Agenda
+    'refresh.retrying': '⚠️ No se pudo actualizar. Nuevo intento en {seconds} s',
+    'duplicates.saveCancelled': 'Guardado cancelado: revisa los contactos duplicados',
+    'duplicates.confirm': '"{name}" se parece a:\n\n{matches}\n\n¿Guardar de todas formas?',
+    'form.editMissing': 'El contacto que intentas editar no existe',
+    'contacts.refreshing': 'Actualizando contactos...',
+    'contacts.loadedWithProblems': { one: '{count} contacto cargado; {problems} registros con problemas se apartaron', other: '{count} contactos cargados; {problems} registros con problemas se apartaron' },
+    'contacts.loaded': { one: '{count} contacto cargado', other: '{count} contactos cargados' },
+    'action.loadList': 'cargar la lista de contactos',
+    'offline.noCache': 'Sin conexión y sin contactos guardados en este dispositivo',
+    'offline.title': 'Sin conexión a internet',
+    'offline.showingCache': 'Sin conexión: mostrando contactos guardados el {date}',
+    'write.add': 'agregar el contacto',
+    'write.update': 'actualizar el contacto',
+    'write.delete': 'eliminar el contacto',
+    'write.merge': 'fusionar el contacto',
+    'contact.added': 'Contacto "{name}" agregado exitosamente',
+    'offline.queued': 'Sin conexión: "{name}" se enviará al recuperar la conexión',
+    'sync.synced': 'Contactos pendientes sincronizados: {count}',
+    'sync.unsynced': 'Contactos sin sincronizar: {count}. Usa "Reintentar" en su tarjeta.',
+    'offline.willRetry': 'Sin conexión a internet. Se reintentará al recuperarla.',
+    'sync.contactSynced': 'Contacto "{name}" sincronizado',
+    'sync.error': 'No se pudo sincronizar: {message}',
+    'sync.confirmDiscard': '¿Descartar el contacto pendiente "{name}"?',
+    'contact.updated': 'Contacto "{name}" actualizado exitosamente',
+    'contact.confirmDelete': '¿Eliminar el contacto "{name}"?',
+    'contact.deleted': 'Contacto "{name}" eliminado',
+    'tags.prompt': 'Etiquetas separadas por comas (ej. familia, trabajo):',
+    'history.add': 'Agregar "{name}"',
+    'history.update': 'Editar "{name}"',
+    'history.delete': 'Eliminar "{name}"',
+    'history.offlineUndo': 'Sin conexión: no se puede deshacer ahora',
+    'history.offlineRedo': 'Sin conexión: no se puede rehacer ahora',
+    'history.undoneMessage': '↩️ Deshecho: {label}',
+    'history.redoneMessage': '↪️ Rehecho: {label}',
+    'history.undoFailed': 'No se pudo deshacer el cambio: {message}',
+    'history.redoFailed': 'No se pudo rehacer el cambio: {message}',
+    'duplicates.confirmMerge': '¿Fusionar {count} contactos en "{name}"? Se eliminarán {removed}.',
+    'history.merge': 'Fusionar {count} contactos en "{name}"',
+    'duplicates.merged': 'Contactos fusionados en "{name}"',
+    'duplicates.nothingToMerge': 'No hay nada que fusionar: el grupo ya no tiene otros contactos',
+    'settings.invalidUrl': 'Indica una URL válida para el endpoint REST',
+    'settings.saved': 'Configuración guardada',
+    'settings.sourceChanged': 'Fuente de datos: {source}',
+    'export.empty': 'No hay contactos para exportar',
+    'export.done': { one: '{count} contacto exportado a {filename}', other: '{count} contactos exportados a {filename}' },
+    'export.failed': 'No se pudo exportar: {message}',
+
+    // Contactos
+    'duplicates.reason.phone': 'mismo teléfono',
+    'duplicates.reason.name': 'mismo nombre',
+    'duplicates.reason.similar': 'nombre parecido',
+    'changes.added': { one: '{count} nuevo contacto', other: '{count} nuevos contactos' },
+    'changes.updated': { one: '{count} actualizado', other: '{count} actualizados' },
+    'changes.removed': { one: '{count} eliminado', other: '{count} eliminados' },
+    'phone.label.movil': '📱 Móvil',
+    'phone.label.casa': '🏠 Casa',
+    'phone.label.trabajo': '💼 Trabajo',
+
+    // Validación
+    'schema.notObject': 'El registro no es un objeto',
+    'schema.invalidId': 'El id no es válido',
+    'schema.notText': 'El campo "{field}" no es texto',
+    'schema.phoneNotText': 'El teléfono no es texto',
+    'schema.missing': 'Falta el campo "{field}"',
+    'schema.tooLong': 'El campo "{field}" supera los {max} caracteres',
+    'schema.phoneNoDigits': 'El teléfono no contiene dígitos',
+    'schema.unnamed': 'Registro sin nombre',
+    'country.DO': 'República Dominicana',
+    'country.PR': 'Puerto Rico',
+    'country.US': 'Estados Unidos / Canadá',
+    'country.MX': 'México',
+    'country.CO': 'Colombia',
+    'country.VE': 'Venezuela',
+    'country.HT': 'Haití',
+    'country.ES': 'España',
+    'validation.nombre.required': 'El nombre es obligatorio',
+    'validation.nombre.invalid': 'El nombre debe contener solo letras y tener entre 2 y 50 caracteres',
+    'validation.apellido.required': 'El apellido es obligatorio',
+    'validation.apellido.invalid': 'El apellido debe contener solo letras y tener entre 2 y 50 caracteres',
+    'validation.phone.required': 'El teléfono es obligatorio',
+    'validation.phone.invalid': 'El teléfono no es válido para {country} (ej. {example})',
+    'validation.phone.invalidN': 'El teléfono {number} no es válido para {country} (ej. {example})',
+    'validation.email.invalid': 'El correo "{email}" no es válido',
+    'validation.direccion.tooLong': 'La dirección no puede superar los {max} caracteres',
+    'validation.notas.tooLong': 'Las notas no pueden superar los {max} caracteres',
+    'validation.cumpleanos.invalid': 'El cumpleaños debe ser una fecha válida y no futura',
+    'validation.etiquetas.tooMany': 'No se permiten más de {max} etiquetas',
+    'validation.etiquetas.tooLong': 'Cada etiqueta puede tener como máximo {max} caracteres',
+    'validation.summary': { one: 'Revisa el campo marcado', other: 'Revisa los {count} campos marcados' },
+
+    // Acceso a datos
+    'error.network': 'No se pudo conectar con el servidor. Revisa tu conexión a internet.',
+    'error.cors': 'El servidor no permite peticiones desde esta página (CORS). Usa un proxy CORS o los datos de prueba.',
+    'error.timeout': 'El servidor no respondió en {seconds} s. Inténtalo de nuevo más tarde.',
+    'http.400': 'La petición no es válida',
+    'http.401': 'Hace falta iniciar sesión',
+    'http.403': 'No tienes permiso para esta operación',
+    'http.404': 'El recurso no existe en el servidor',
+    'http.409': 'El contacto cambió en el servidor; recarga la lista',
+    'http.422': 'El servidor rechazó los datos enviados',
+    'http.429': 'Demasiadas peticiones; espera un momento',
+    'http.server': 'Error interno del servidor',
+    'http.rejected': 'El servidor rechazó la petición',
+    'error.payload': 'La respuesta del servidor no tiene el formato esperado: {detail}',
+    'error.cancelled': 'La petición se canceló',
+    'source.raydelto': 'API raydelto.org',
+    'source.rest': 'REST configurable',
+    'source.memory': 'Datos de prueba (memoria)',
+    'source.localStorage': 'Almacenamiento local',
+    'refresh.off': 'Desactivada',
+    'refresh.seconds': 'Cada {count} s',
+    'refresh.minutes': 'Cada {count} min',
+    'error.payload.json': 'no es JSON válido',
+    'error.payload.list': 'se esperaba una lista de contactos',
+
+    // Archivos
+    'field.nombre': 'Nombre',
+    'field.apellido': 'Apellido',
+    'field.telefono': 'Teléfono',
+    'field.email': 'Correo',
+    'field.direccion': 'Dirección',
+    'field.notas': 'Notas',
+    'field.cumpleanos': 'Cumpleaños',
+    'field.etiquetas': 'Etiquetas',
+    'import.emptyFile': 'El archivo está vacío',
+    'import.readFailed': 'No se pudo leer el archivo: {message}',
+    'import.column': 'Columna {index}',
+    'import.noColumn': '(ninguna)',
+    'import.hasHeader': 'La primera fila es encabezado',
+    'import.duplicatePhone': 'El teléfono ya existe en la agenda o en el archivo',
+    'import.status.valid': '✅ Válido',
+    'import.status.invalid': '❌ Inválido',
+    'import.status.duplicate': '⚠️ Duplicado',
+    'import.summary': { one: '{count} fila: {valid} válidas, {invalid} inválidas, {duplicate} duplicadas', other: '{count} filas: {valid} válidas, {invalid} inválidas, {duplicate} duplicadas' },
+    'import.status': 'Estado',
+    'import.submit': { one: 'Importar {count} contacto', other: 'Importar {count} contactos' },
+    'import.done': { one: '{count} contacto importado', other: '{count} contactos importados' },
+    'import.partial': 'Importados: {imported}. Fallaron {failed}:',
+
+    // Utilidades
+    'clipboard.copied': 'Copiado al portapapeles',
+    'clipboard.failed': 'No se pudo copiar al portapapeles',
+
+    // Aplicación instalable
+    'pwa.updateAvailable': '🆕 Hay una versión nueva de la agenda',
+    'pwa.update': '🔄 Actualizar',
+    'pwa.offlineReady': 'La agenda ya se puede abrir sin conexión',
+
+    // Sesiones
+    'login.heading': '🔐 Iniciar sesión',
+    'login.user': 'Usuario:',
+    'login.password': 'Contraseña:',
+    'login.submit': 'Entrar',
+    'login.help.local': 'Sustituto local: cualquier usuario y contraseña abren su propia agenda en este navegador.',
+    'login.help.remote': 'Inicia sesión con tu cuenta de {host}.',
+    'login.missing': 'Escribe el usuario y la contraseña',
+    'login.invalid': 'Usuario o contraseña incorrectos',
+    'action.login': 'iniciar sesión',
+    'auth.none': 'Sin inicio de sesión (agenda compartida)',
+    'auth.local': 'Sustituto local, sin servidor',
+    'auth.remote': 'Servicio de sesiones con token',
+    'auth.badResponse': 'la respuesta del inicio de sesión no trae un token ni un usuario',
+    'auth.expired': 'Tu sesión ha caducado. Vuelve a iniciar sesión para continuar.',
+    'auth.loggedOut': 'Sesión cerrada',
+    'auth.logout': '🚪 Cerrar sesión',
+    'auth.menu': 'Cuenta de {name}',
+    'settings.invalidAuthUrl': 'Indica una URL válida para el servicio de sesiones'
+};
@@ -0,0 +1,85 @@
+/**
+ * APLICACIÓN INSTALABLE
+ * Registro del service worker (sw.js) y aviso cuando hay una versión nueva
+ */
+
+import { t } from './i18n.js';
+import { MessageHandler } from './ui.js';
+
+export class ServiceWorkerManager {
+    // Relativa a la página: el service worker controla la carpeta de la aplicación
+    static SCRIPT_URL = 'sw.js';
+
+    // Solo se recarga la página cuando el usuario aceptó la versión nueva
+    static isUpdating = false;
+
+    static promptedWorker = null;
+
+    /**
+     * Registra el service worker si el navegador lo admite. onContactsUpdated
+     * se llama cuando la lista servida desde la caché resultó estar desfasada.
+     */
+    static async register({ onContactsUpdated = () => {} } = {}) {
+        if (!('serviceWorker' in navigator)) return null;
+
+        const container = navigator.serviceWorker;
+        container.addEventListener('controllerchange', () => {
+            if (this.isUpdating) window.location.reload();
+        });
+        container.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'contacts-updated') onContactsUpdated();
+        });
+
+        try {
+            const registration = await container.register(this.SCRIPT_URL);
+            this.watch(registration);
+
+            // En el móvil la pestaña puede seguir abierta días: se busca versión al volver
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) registration.update().catch(() => {});
+            });
+            return registration;
+        } catch (error) {
+            console.warn('No se pudo registrar el service worker:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Sigue la instalación de versiones nuevas del service worker
+     */
+    static watch(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.promptUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+
+                // Sin controlador es la primera instalación, no una actualización
+                if (navigator.serviceWorker.controller) {
+                    this.promptUpdate(worker);
+                } else {
+                    MessageHandler.showInfo(t('pwa.offlineReady'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Ofrece activar la versión en espera; al aceptarla la página se recarga
+     */
+    static promptUpdate(worker) {
+        if (this.promptedWorker === worker) return;
+        this.promptedWorker = worker;
+
+        MessageHandler.showAction(t('pwa.updateAvailable'), t('pwa.update'), () => {
+            this.isUpdating = true;
+            worker.postMessage({ type: 'skip-waiting' });
+        }, 'info', 0);
+    }
+}
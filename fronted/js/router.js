@@ -0,0 +1,98 @@
+/**
+ * RUTAS
+ * Enrutador por hash de las vistas de la aplicación
+ */
+
+/**
+ * ENRUTADOR POR HASH
+ * Traduce "#/contacts/42" en { name: 'detail', params: { id: '42' } }.
+ * Las rutas públicas se pueden abrir sin haber iniciado sesión.
+ */
+export class Router {
+    static ROUTES = [
+        { name: 'contacts', path: '/contacts' },
+        { name: 'detail', path: '/contacts/:id' },
+        { name: 'edit', path: '/contacts/:id/edit' },
+        { name: 'new', path: '/new' },
+        { name: 'settings', path: '/settings', public: true },
+        { name: 'login', path: '/login', public: true }
+    ];
+
+    static DEFAULT_PATH = '/contacts';
+
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.current = null;
+
+        window.addEventListener('hashchange', () => this.resolve());
+    }
+
+    /**
+     * Busca la ruta que corresponde a una ruta de texto
+     */
+    static match(path) {
+        const parts = path.split('/').filter(Boolean);
+
+        for (const route of this.ROUTES) {
+            const pattern = route.path.split('/').filter(Boolean);
+            if (pattern.length !== parts.length) continue;
+
+            const params = {};
+            const matches = pattern.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    params[segment.slice(1)] = decodeURIComponent(parts[index]);
+                    return true;
+                }
+                return segment === parts[index];
+            });
+
+            if (matches) {
+                return { name: route.name, path, params, public: Boolean(route.public) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Enlace a la página de un contacto
+     */
+    static contactLink(id) {
+        return `#/contacts/${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Aplica la ruta del hash actual; las desconocidas llevan a la lista
+     */
+    resolve() {
+        let route = null;
+        
+        try {
+            route = Router.match(window.location.hash.replace(/^#/, ''));
+        } catch (error) {
+            // Hash mal codificado
+        }
+
+        if (!route) {
+            this.navigate(Router.DEFAULT_PATH, { replace: true });
+            return;
+        }
+
+        this.current = route;
+        this.onChange(route);
+    }
+
+    /**
+     * Cambia de ruta; con replace no se añade una entrada al historial
+     */
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            history.replaceState(null, '', `#${path}`);
+            this.resolve();
+        } else if (window.location.hash === `#${path}`) {
+            this.resolve();
+        } else {
+            window.location.hash = path;
+        }
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * ESTADO
+ * Almacén observable de la agenda y valores derivados; historial de deshacer/rehacer
+ */
+
+import { ContactSearch, ContactTags, ContactSorter } from './contacts.js';
+import { I18n } from './i18n.js';
+
+/**
+ * HISTORIAL DE CAMBIOS PARA DESHACER Y REHACER
+ * Cada entrada agrupa uno o varios cambios { type, id, before, after }
+ */
+export class CommandHistory {
+    static MAX_ENTRIES = 50;
+
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Añade un cambio; dentro de un grupo abierto se acumula en él
+     */
+    record(label, change) {
+        if (this.batch) {
+            this.batch.changes.push(change);
+            return;
+        }
+
+        this.push({ label, changes: [change] });
+    }
+
+    /**
+     * Abre un grupo para que varios cambios se deshagan de una vez
+     */
+    beginBatch(label) {
+        this.batch = { label, changes: [] };
+    }
+
+    /**
+     * Cierra el grupo abierto; devuelve la entrada o null si quedó vacío
+     */
+    endBatch() {
+        const batch = this.batch;
+        this.batch = null;
+
+        if (!batch || batch.changes.length === 0) return null;
+        return this.push(batch);
+    }
+
+    push({ label, changes }) {
+        const entry = { id: this.nextId++, label, changes, timestamp: Date.now() };
+
+        this.undoStack.push(entry);
+        if (this.undoStack.length > CommandHistory.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+
+        // Una acción nueva invalida lo que se podía rehacer
+        this.redoStack = [];
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Deshace la última entrada aplicando sus cambios en orden inverso
+     */
+    async undo(apply) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        try {
+            for (const change of [...entry.changes].reverse()) {
+                await apply(change, 'undo');
+            }
+        } catch (error) {
+            this.undoStack.push(entry);
+            throw error;
+        }
+
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Vuelve a aplicar la última entrada deshecha
+     */
+    async redo(apply) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        try {
+            for (const change of entry.changes) {
+                await apply(change, 'redo');
+            }
+        } catch (error) {
+            this.redoStack.push(entry);
+            throw error;
+        }
+
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Entradas de la más reciente a la más antigua, marcando las deshechas
+     */
+    getEntries() {
+        return [
+            ...this.undoStack.map(entry => ({ ...entry, undone: false })),
+            ...[...this.redoStack].reverse().map(entry => ({ ...entry, undone: true }))
+        ].reverse();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+    }
+}
+
+/**
+ * ESTADO DE LA APLICACIÓN
+ * Almacén observable: los cambios se hacen con setState y la interfaz
+ * se suscribe a las partes del estado que pinta
+ */
+export class Store {
+    constructor(initialState = {}) {
+        this.state = { ...initialState };
+        this.listeners = new Set();
+    }
+
+    /**
+     * Estado actual. No se modifica directamente: se usa setState
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Mezcla los cambios en el estado y avisa a los suscriptores.
+     * Acepta un objeto o una función que recibe el estado actual.
+     */
+    setState(changes) {
+        const previous = this.state;
+        const patch = typeof changes === 'function' ? changes(previous) : changes;
+        if (!patch) return;
+
+        this.state = { ...previous, ...patch };
+        this.listeners.forEach(listener => listener(this.state, previous));
+    }
+
+    /**
+     * Registra un oyente para todos los cambios. Devuelve la función para darse de baja.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Escucha solo una parte del estado: el oyente se llama cuando cambia
+     * el valor que devuelve selector (o alguno de sus elementos si es un array)
+     */
+    select(selector, listener) {
+        let current = selector(this.state);
+
+        return this.subscribe(state => {
+            const previous = current;
+            current = selector(state);
+
+            if (!Store.isSameSelection(previous, current)) {
+                listener(current, previous, state);
+            }
+        });
+    }
+
+    /**
+     * Compara dos selecciones; los arrays se comparan elemento a elemento
+     */
+    static isSameSelection(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((value, index) => Object.is(value, b[index]));
+        }
+        return Object.is(a, b);
+    }
+}
+
+/**
+ * ESTADO DE LA AGENDA
+ * Forma inicial del estado y valores derivados que comparten la agenda y la interfaz
+ */
+export class AgendaState {
+    /**
+     * Crea el almacén con el estado inicial de la agenda
+     */
+    static createStore(overrides = {}) {
+        return new Store({
+            // Contactos cargados de la fuente activa
+            contacts: [],
+            // Ids de las tarjetas que cambiaron en la última actualización de contacts
+            changedIds: new Set(),
+            // Contactos pendientes de enviar a la fuente
+            outbox: [],
+            // Registros recibidos que no cumplen el esquema y no se muestran
+            problems: [],
+            // 'idle', 'loading' (con indicador) o 'refreshing' (en segundo plano)
+            loadStatus: 'idle',
+            hasLoaded: false,
+            loadError: null,
+            searchQuery: '',
+            // Se sustituye por un Set nuevo en cada cambio para que se detecte
+            activeTags: new Set(),
+            favoritesOnly: false,
+            sortBy: 'nombre',
+            // Idioma de la interfaz; el orden alfabético y los textos dependen de él
+            locale: I18n.locale,
+            ...overrides
+        });
+    }
+
+    // Último resultado de cada valor derivado y las partes del estado de las que salió
+    static cache = new Map();
+
+    /**
+     * Reutiliza el último resultado mientras no cambien sus entradas. Con
+     * miles de contactos, escribir en la búsqueda no vuelve a ordenar la lista.
+     */
+    static memoize(name, inputs, compute) {
+        const cached = this.cache.get(name);
+        if (cached && Store.isSameSelection(cached.inputs, inputs)) {
+            return cached.value;
+        }
+
+        const value = compute();
+        this.cache.set(name, { inputs, value });
+        return value;
+    }
+
+    /**
+     * Contactos a mostrar: los cargados más los pendientes de sincronizar
+     */
+    static displayContacts(state) {
+        return AgendaState.memoize('display', [state.contacts, state.outbox], () => {
+            const pending = state.outbox
+                .filter(entry => entry.action === 'create')
+                .map(entry => ({
+                    ...entry.payload,
+                    id: entry.id,
+                    createdAt: entry.createdAt,
+                    pendingStatus: entry.status,
+                    syncError: entry.error
+                }));
+
+            return [...state.contacts, ...pending];
+        });
+    }
+
+    /**
+     * Todos los contactos a mostrar en el orden elegido
+     */
+    static sortedContacts(state) {
+        const contacts = AgendaState.displayContacts(state);
+        return AgendaState.memoize('sorted', [contacts, state.sortBy, state.locale], () => ContactSorter.sort(contacts, state.sortBy));
+    }
+
+    /**
+     * Contactos que pasan la búsqueda y los filtros activos, en el orden elegido.
+     * Filtrar conserva el orden, así que se filtra la lista ya ordenada.
+     */
+    static visibleContacts(state) {
+        const searched = ContactSearch.filter(AgendaState.sortedContacts(state), state.searchQuery);
+        return ContactTags.filter(searched, state.activeTags, state.favoritesOnly);
+    }
+
+    /**
+     * Indica si hay alguna etiqueta o el filtro de favoritos activo
+     */
+    static isTagFilterActive(state) {
+        return state.favoritesOnly || state.activeTags.size > 0;
+    }
+
+    /**
+     * Indica si la lista visible es un subconjunto de la completa
+     */
+    static isFilterActive(state) {
+        return ContactSearch.isActive(state.searchQuery) || AgendaState.isTagFilterActive(state);
+    }
+
+    /**
+     * Partes del estado de las que depende la lista de contactos
+     */
+    static listInputs(state) {
+        return [state.contacts, state.outbox, state.searchQuery, state.activeTags, state.favoritesOnly, state.sortBy, state.locale];
+    }
+}
@@ -0,0 +1,1191 @@
+/**
+ * INTERFAZ
+ * Elementos del DOM, mensajes y vistas. La interfaz se suscribe al almacén con UIManager.connect
+ */
+
+import { DEFAULT_PHONE_COUNTRY, CORS_PROXY_PRESETS, MOCK_AUTH_URL } from './config.js';
+import { Utils, SafeHtml, html } from './utils.js';
+import { ContactSchema, PhoneNumber } from './validation.js';
+import { ContactModel, ContactSearch, ContactTags, ContactSorter } from './contacts.js';
+import { AutoRefresher, CorsError, DataSourceManager } from './api.js';
+import { AgendaState } from './state.js';
+import { AuthManager } from './auth.js';
+import { Router } from './router.js';
+import { I18n, t } from './i18n.js';
+import { VirtualGrid } from './virtual-grid.js';
+
+// Elementos del DOM por nombre e id; bindDom los busca cuando el DOM está listo
+export const DOM_IDS = {
+    contactForm: 'contact-form',
+    contactsContainer: 'contacts-container',
+    messageContainer: 'message-container',
+    refreshBtn: 'refresh-btn',
+    contactCount: 'contact-count',
+    cancelEditBtn: 'cancel-edit-btn',
+    settingsForm: 'settings-form',
+    sortSelect: 'sort-select',
+    exportBtn: 'export-btn',
+    exportMenu: 'export-options',
+    duplicatesPanel: 'duplicates-panel',
+    problemsPanel: 'problems-panel',
+    tagFilter: 'tag-filter',
+    historyPanel: 'history-panel',
+    languageSelect: 'language-select',
+    loginForm: 'login-form',
+    userMenu: 'user-menu'
+};
+
+export const dom = {};
+
+/**
+ * Busca los elementos de DOM_IDS; los que no existen quedan en null
+ */
+export function bindDom(root = document) {
+    Object.entries(DOM_IDS).forEach(([name, id]) => {
+        dom[name] = root.getElementById(id);
+    });
+    return dom;
+}
+
+/**
+ * CLASE PARA MANEJO DE MENSAJES
+ */
+export class MessageHandler {
+    /**
+     * El texto se escapa; para incluir marcado hay que pasar un fragmento html``.
+     * Con duration 0 el mensaje se queda hasta que se cierre y los demás no lo sustituyen.
+     */
+    static showMessage(message, type = 'info', duration = 5000) {
+        if (!dom.messageContainer) return;
+        
+        const messageElement = document.createElement('div');
+        messageElement.className = `message ${type}`;
+        messageElement.classList.toggle('persistent', !duration);
+        // El contenedor avisa sin interrumpir; los errores se anuncian en el acto
+        messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        SafeHtml.render(messageElement, message);
+        
+        this.clear();
+        dom.messageContainer.appendChild(messageElement);
+        
+        // Auto-ocultar después del tiempo especificado
+        if (duration) {
+            setTimeout(() => {
+                if (messageElement.parentNode) {
+                    messageElement.remove();
+                }
+            }, duration);
+        }
+    }
+
+    static showSuccess(message) {
+        this.showMessage(html`✅ ${message}`, 'success');
+    }
+
+    static showError(message) {
+        this.showMessage(html`❌ ${message}`, 'error', 8000);
+    }
+
+    static showInfo(message) {
+        this.showMessage(html`ℹ️ ${message}`, 'info', 3000);
+    }
+
+    static showWarning(message) {
+        this.showMessage(html`⚠️ ${message}`, 'warning');
+    }
+
+    /**
+     * Error de una operación; los errores de red ya traen el texto preciso
+     */
+    static showRequestError(error, action) {
+        this.showError(t('error.actionFailed', { action, message: error.message }));
+    }
+
+    /**
+     * Mensaje con un botón de acción, por ejemplo "Deshacer"
+     */
+    static showAction(message, actionLabel, onAction, type = 'info', duration = 8000) {
+        this.showMessage(message, type, duration);
+
+        const messageElement = dom.messageContainer ? dom.messageContainer.lastElementChild : null;
+        if (!messageElement) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action';
+        button.textContent = actionLabel;
+        button.addEventListener('click', () => {
+            messageElement.remove();
+            onAction();
+        });
+
+        messageElement.appendChild(button);
+    }
+
+    static showUndo(message, onUndo) {
+        this.showAction(html`✅ ${message}`, t('history.undo'), onUndo, 'success');
+    }
+
+    static clear() {
+        if (dom.messageContainer) {
+            dom.messageContainer.querySelectorAll('.message:not(.persistent)').forEach(element => element.remove());
+        }
+    }
+}
+
+/**
+ * CLASE PARA MANEJO DE LA INTERFAZ
+ */
+export class UIManager {
+    /**
+     * Suscribe la interfaz al almacén de la agenda: cada parte se repinta
+     * cuando cambia el estado del que depende
+     */
+    static connect(store) {
+        store.select(AgendaState.listInputs, (current, previous, state) => {
+            // Solo se resaltan tarjetas cuando cambiaron los contactos cargados
+            const changedIds = current[0] !== previous[0] ? state.changedIds : new Set();
+            this.renderContactList(state, changedIds);
+        });
+        store.select(state => [state.problems, state.locale], ([problems]) => this.renderProblems(problems));
+        store.select(state => state.loadStatus, status => {
+            if (status === 'loading') this.showLoading();
+        });
+        store.select(state => state.loadError, error => {
+            if (error) this.showRequestError(error);
+        });
+    }
+
+    /**
+     * Pinta la lista de contactos, los filtros y el contador.
+     * Las tarjetas de changedIds se resaltan como nuevas o modificadas.
+     */
+    static renderContactList(state, changedIds = new Set()) {
+        const contacts = AgendaState.displayContacts(state);
+        const visible = AgendaState.visibleContacts(state);
+        const filterActive = AgendaState.isFilterActive(state);
+
+        this.renderFilterChips(ContactTags.collect(contacts), state.activeTags, state.favoritesOnly);
+        this.displayContacts(visible, state.searchQuery, state.sortBy, changedIds);
+        this.updateContactCount(visible.length, filterActive ? contacts.length : null);
+        this.updateExportScope(filterActive);
+    }
+
+    /**
+     * Muestra el estado de carga
+     */
+    static showLoading() {
+        if (!dom.contactsContainer) return;
+        
+        SafeHtml.render(dom.contactsContainer, html`
+            <div class="loading">
+                <div class="spinner"></div>
+                <p>${t('contacts.loading')}</p>
+            </div>
+        `);
+    }
+
+    /**
+     * Muestra error en el contenedor de contactos; el mensaje se escapa
+     */
+    static showError(message, title = t('error.loadTitle')) {
+        if (!dom.contactsContainer) return;
+        
+        SafeHtml.render(dom.contactsContainer, html`
+            <div class="error-state">
+                <div class="error-icon">⚠️</div>
+                <h3>${title}</h3>
+                <p>${message}</p>
+                <button type="button" data-action="reload" class="btn btn-retry">
+                    ${t('action.retry')}
+                </button>
+            </div>
+        `);
+    }
+
+    /**
+     * Muestra el estado adecuado a cada tipo de error de carga
+     */
+    static showRequestError(error) {
+        if (error instanceof CorsError) {
+            this.showCORSError();
+            return;
+        }
+
+        const titles = {
+            TimeoutError: 'error.title.timeout',
+            HttpError: 'error.title.http',
+            PayloadError: 'error.title.payload'
+        };
+
+        this.showError(error.message, titles[error.name] ? t(titles[error.name]) : undefined);
+    }
+
+    /**
+     * Muestra error específico de CORS
+     */
+    static showCORSError() {
+        if (!dom.contactsContainer) return;
+        
+        SafeHtml.render(dom.contactsContainer, html`
+            <div class="error-state cors-error">
+                <div class="error-icon">🚫</div>
+                <h3>${t('cors.title')}</h3>
+                <p>${t('cors.description')}</p>
+                
+                <div class="cors-solutions">
+                    <h4>${t('cors.solutions')}</h4>
+                    <div class="solution-option">
+                        <strong>${t('cors.proxy.title')}</strong>
+                        <p>${t('cors.proxy.text')}</p>
+                    </div>
+                    
+                    <div class="solution-option">
+                        <strong>${t('cors.server.title')}</strong>
+                        <p>${t('cors.server.text')}</p>
+                    </div>
+                    
+                    <div class="solution-option">
+                        <strong>${t('cors.extension.title')}</strong>
+                        <p>${t('cors.extension.text')}</p>
+                    </div>
+                    
+                    <div class="solution-option">
+                        <strong>${t('cors.chrome.title')}</strong>
+                        <p>${t('cors.chrome.text')} <code>--disable-web-security --user-data-dir="[path]"</code></p>
+                    </div>
+                </div>
+                
+                <div class="error-actions">
+                    <button type="button" data-action="reload" class="btn btn-retry">
+                        ${t('action.retry')}
+                    </button>
+                    <button type="button" data-action="use-test-data" class="btn btn-test">
+                        ${t('cors.useTestData')}
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Muestra los contactos en la interfaz
+     */
+    static displayContacts(contacts, query = '', sortBy = 'nombre', changedIds = new Set()) {
+        if (!dom.contactsContainer) return;
+        
+        if (contacts.length === 0) {
+            if (ContactSearch.isActive(query)) {
+                this.showNoResults(query);
+            } else {
+                this.showEmptyState();
+            }
+            return;
+        }
+
+        const groups = new Set();
+        const keyCounts = new Map();
+        const items = [];
+        let currentGroup = null;
+
+        // Solo se calculan claves y grupos; el marcado se genera al entrar en pantalla
+        contacts.forEach(contact => {
+            const group = ContactSorter.getGroupKey(contact, sortBy);
+
+            if (group !== currentGroup && (group !== null || currentGroup !== null)) {
+                currentGroup = group;
+                if (group !== null) groups.add(group);
+                items.push({ key: `group:${group || ''}`, header: true, group });
+            }
+
+            // Las fuentes sin id pueden repetir teléfono: la clave se desambigua
+            const contactId = Utils.getContactId(contact);
+            const count = keyCounts.get(contactId) || 0;
+            keyCounts.set(contactId, count + 1);
+            
+            items.push({ key: `contact:${contactId}#${count}`, contactId, contact });
+        });
+
+        const indexHTML = ContactSorter.OPTIONS[sortBy] && ContactSorter.OPTIONS[sortBy].grouped
+            ? String(this.createAlphaIndex(groups))
+            : '';
+        let grid = dom.contactsContainer.querySelector('.contacts-grid');
+        const firstPaint = !grid;
+
+        if (grid) {
+            this.patchAlphaIndex(grid.parentElement, indexHTML);
+        } else {
+            // indexHTML ya es marcado escapado por html``
+            SafeHtml.render(dom.contactsContainer, html`
+                <div class="contacts-layout">
+                    <div class="contacts-grid" role="group"></div>
+                    ${SafeHtml.trusted(indexHTML)}
+                </div>
+            `);
+            grid = dom.contactsContainer.querySelector('.contacts-grid');
+        }
+
+        if (!this.contactGrid || this.contactGrid.grid !== grid) {
+            if (this.contactGrid) this.contactGrid.destroy();
+            // Intro en una tarjeta abre su página, como pulsar el nombre
+            this.contactGrid = new VirtualGrid(grid, undefined, {
+                onActivate: (item, card) => {
+                    const link = card.querySelector('.contact-link');
+                    if (link) link.click();
+                }
+            });
+        }
+        grid.setAttribute('aria-label', t('contacts.gridLabel'));
+
+        // El marcado depende de la consulta para resaltar las coincidencias
+        this.contactGrid.renderItem = item => this.createListItem(item, query);
+        // Primer pintado: las primeras tarjetas entran con animación escalonada
+        this.contactGrid.setItems(items, { changedIds, animate: firstPaint });
+    }
+
+    // Lista virtual de la cuadrícula de contactos pintada
+    static contactGrid = null;
+
+    /**
+     * Marcado de un elemento de la lista: cabecera de grupo o tarjeta
+     */
+    static createListItem(item, query = '') {
+        if (item.header) {
+            const label = item.group === ContactSorter.FAVORITES_GROUP
+                ? t('group.favorites', { icon: item.group })
+                : (item.group || t('group.all'));
+            return html`<div class="group-header" role="heading" aria-level="3" data-group="${item.group || ''}" data-key="${item.key}">${label}</div>`;
+        }
+
+        return this.createContactCard(item.contact, query, item.key);
+    }
+
+    /**
+     * Sustituye el índice A–Z solo si cambió
+     */
+    static patchAlphaIndex(layout, indexHTML) {
+        const current = layout.querySelector('.alpha-index');
+        
+        if (current && current.outerHTML === indexHTML.trim()) return;
+        if (current) current.remove();
+        if (indexHTML) SafeHtml.append(layout, SafeHtml.trusted(indexHTML));
+    }
+
+    /**
+     * Crea el índice A–Z lateral
+     */
+    static createAlphaIndex(groups) {
+        const letters = [ContactSorter.FAVORITES_GROUP, ...ContactSorter.ALPHABET]
+            .filter(letter => letter !== ContactSorter.FAVORITES_GROUP || groups.has(letter))
+            .map(letter => groups.has(letter)
+                ? html`<button type="button" data-action="scroll-to-group" data-group="${letter}">${letter}</button>`
+                : html`<button type="button" disabled>${letter}</button>`);
+
+        return html`<nav class="alpha-index" aria-label="${t('group.index')}">${letters}</nav>`;
+    }
+
+    /**
+     * Desplaza la lista hasta el grupo de una letra
+     */
+    static scrollToGroup(letter) {
+        if (!this.contactGrid || !this.contactGrid.grid.isConnected) return;
+
+        // La cabecera puede no estar en el DOM: se busca en la lista virtual
+        this.contactGrid.scrollToKey(`group:${letter}`);
+    }
+
+    /**
+     * Crea una tarjeta de contacto
+     */
+    static createContactCard(contact, query = '', key = '') {
+        const formattedPhone = Utils.formatPhone(contact.telefono || '');
+        const fullName = `${contact.nombre || ''} ${contact.apellido || ''}`.trim();
+        const contactId = Utils.getContactId(contact);
+        const syncState = this.createSyncState(contact);
+        
+        return html`
+            <article class="contact-card${contact.pendingStatus ? ` sync-${contact.pendingStatus}` : ''}${contact.favorito ? ' favorite' : ''}" data-key="${key}" aria-label="${fullName}">
+                ${contact.pendingStatus ? '' : html`
+                <button type="button" class="btn-favorite" data-action="toggle-favorite" data-id="${contactId}"
+                    title="${t(contact.favorito ? 'card.unfavorite' : 'card.favorite')}" aria-pressed="${Boolean(contact.favorito)}">
+                    ${contact.favorito ? '★' : '☆'}
+                </button>`}
+                <div class="contact-avatar" aria-hidden="true">
+                    ${Utils.getInitials(fullName)}
+                </div>
+                <div class="contact-info">
+                    <div class="contact-name" title="${fullName}">
+                        ${contact.pendingStatus
+                            ? ContactSearch.highlightText(fullName, query)
+                            : html`<a href="${Router.contactLink(contactId)}" class="contact-link">${ContactSearch.highlightText(fullName, query)}</a>`}
+                    </div>
+                    <div class="contact-phone" title="${contact.telefono || ''}">
+                        <span aria-hidden="true">📞</span> ${ContactSearch.highlightPhone(formattedPhone, query)}
+                    </div>
+                    ${this.createTagList(contact.etiquetas)}
+                </div>
+                ${ContactModel.hasDetails(contact) ? this.createContactDetails(contact) : ''}
+                <div class="contact-actions">
+                    <button type="button" class="btn-call" data-action="call" data-phone="${contact.telefono || ''}" title="${t('card.call')}"
+                        aria-label="${t('card.callNamed', { name: fullName })}">
+                        📞
+                    </button>
+                    ${contact.pendingStatus ? syncState.actions : html`
+                    <button type="button" class="btn-edit" data-action="edit" data-id="${contactId}" title="${t('card.edit')}"
+                        aria-label="${t('card.editNamed', { name: fullName })}">
+                        ✏️
+                    </button>
+                    <button type="button" class="btn-tags" data-action="edit-tags" data-id="${contactId}" title="${t('card.tags')}"
+                        aria-label="${t('card.tagsNamed', { name: fullName })}">
+                        🏷️
+                    </button>
+                    <button type="button" class="btn-delete" data-action="delete" data-id="${contactId}" title="${t('card.delete')}"
+                        aria-label="${t('card.deleteNamed', { name: fullName })}">
+                        🗑️
+                    </button>`}
+                </div>
+                ${syncState.badge}
+            </article>
+        `;
+    }
+
+    /**
+     * Etiquetas de una tarjeta; al pulsarlas se filtra por ellas
+     */
+    static createTagList(tags = []) {
+        if (tags.length === 0) return '';
+
+        const chips = tags
+            .map(tag => html`<button type="button" class="tag-chip" data-tag="${tag}" title="${t('card.filterByTag')}">${tag}</button>`);
+
+        return html`<div class="contact-tags">${chips}</div>`;
+    }
+
+    /**
+     * Barra de chips para filtrar por favoritos y etiquetas
+     */
+    static renderFilterChips({ favorites, tags }, activeTags, favoritesOnly) {
+        if (!dom.tagFilter) return;
+
+        if (favorites === 0 && tags.length === 0 && activeTags.size === 0 && !favoritesOnly) {
+            dom.tagFilter.replaceChildren();
+            dom.tagFilter.hidden = true;
+            return;
+        }
+
+        const activeKeys = new Set([...activeTags].map(tag => ContactTags.key(tag)));
+        const chip = (value, label, pressed) => html`
+            <button type="button" class="filter-chip" data-tag="${value}" aria-pressed="${pressed}">${label}</button>
+        `;
+
+        // Las etiquetas activas se muestran aunque ya no queden contactos con ellas
+        const missing = [...activeTags]
+            .filter(tag => !tags.some(entry => ContactTags.key(entry.tag) === ContactTags.key(tag)))
+            .map(tag => ({ tag, count: 0 }));
+
+        dom.tagFilter.hidden = false;
+        SafeHtml.render(dom.tagFilter, SafeHtml.join([
+            chip(ContactTags.FAVORITES, t('filter.favorites', { count: favorites }), favoritesOnly),
+            ...[...tags, ...missing].map(({ tag, count }) =>
+                chip(tag, t('filter.tag', { tag, count }), activeKeys.has(ContactTags.key(tag)))
+            ),
+            favoritesOnly || activeTags.size > 0 ? chip('', t('filter.clear'), false) : ''
+        ]));
+    }
+
+    /**
+     * Bloque desplegable con teléfonos, correos, dirección, cumpleaños y notas
+     */
+    static createContactDetails(contact) {
+        return html`
+            <button type="button" class="btn-toggle-details" data-action="toggle-details" aria-expanded="false">
+                ${t('card.moreDetails')}
+            </button>
+            <ul class="contact-details" hidden>
+                ${this.createDetailItems(contact)}
+            </ul>
+        `;
+    }
+
+    /**
+     * Elementos de lista con los datos completos de un contacto
+     */
+    static createDetailItems(contact) {
+        const items = [];
+
+        ContactModel.getPhones(contact).forEach(phone => {
+            const label = t(ContactModel.PHONE_LABELS[phone.etiqueta] || ContactModel.PHONE_LABELS.movil);
+            const dialable = PhoneNumber.toE164(phone.numero) || phone.numero;
+            items.push(html`<li>${label}: <a href="tel:${dialable}">${Utils.formatPhone(phone.numero)}</a></li>`);
+        });
+
+        (contact.emails || []).forEach(email => {
+            items.push(html`<li>✉️ <a href="mailto:${email}">${email}</a></li>`);
+        });
+
+        if (contact.direccion) {
+            items.push(html`<li>📍 ${contact.direccion}</li>`);
+        }
+
+        if (contact.cumpleanos) {
+            items.push(html`<li>🎂 ${Utils.formatDate(contact.cumpleanos)}</li>`);
+        }
+
+        if (contact.notas) {
+            items.push(html`<li class="contact-notes">📝 ${contact.notas}</li>`);
+        }
+
+        return items;
+    }
+
+    /**
+     * Lista de cambios recientes y estado de los botones deshacer/rehacer
+     */
+    static renderHistory(entries, canUndo, canRedo) {
+        if (!dom.historyPanel) return;
+
+        dom.historyPanel.querySelector('#undo-btn').disabled = !canUndo;
+        dom.historyPanel.querySelector('#redo-btn').disabled = !canRedo;
+
+        const list = dom.historyPanel.querySelector('#history-list');
+        if (entries.length === 0) {
+            SafeHtml.render(list, html`<li class="history-empty">${t('history.empty')}</li>`);
+            return;
+        }
+
+        SafeHtml.render(list, entries.map(entry => {
+            const date = new Date(entry.timestamp);
+            const count = entry.changes.length > 1 ? html` <span class="history-count">${t('history.changes', { count: entry.changes.length })}</span>` : '';
+            
+            return html`
+                <li class="history-entry${entry.undone ? ' undone' : ''}">
+                    <time datetime="${date.toISOString()}">${I18n.formatTime(date)}</time>
+                    <span>${entry.label}${count}</span>
+                    ${entry.undone ? html`<span class="history-status">${t('history.undone')}</span>` : ''}
+                </li>
+            `;
+        }));
+    }
+
+    /**
+     * Lista los registros apartados por no cumplir el esquema
+     */
+    static renderProblems(problems) {
+        if (!dom.problemsPanel) return;
+
+        dom.problemsPanel.classList.toggle('empty', problems.length === 0);
+        dom.problemsPanel.querySelector('#problems-count').textContent = problems.length;
+
+        SafeHtml.render(dom.problemsPanel.querySelector('#problems-list'), problems.map(problem => {
+            const raw = JSON.stringify(problem.record);
+            const preview = raw && raw.length > 200 ? `${raw.slice(0, 200)}…` : String(raw);
+            
+            return html`
+                <li class="problem-entry">
+                    <strong>${ContactSchema.describe(problem.record)}</strong>
+                    <span class="problem-errors">${problem.errors.join('. ')}</span>
+                    <code>${preview}</code>
+                </li>
+            `;
+        }));
+    }
+
+    /**
+     * Muestra solo las secciones de la vista indicada y marca su enlace
+     */
+    static showView(routeName) {
+        const view = { detail: 'detail', edit: 'form', new: 'form', settings: 'settings', login: 'login' }[routeName] || 'contacts';
+
+        // La página de un contacto cambia el título; las demás vistas lo restauran
+        if (view !== 'detail') {
+            document.title = t('app.title');
+        }
+
+        document.querySelectorAll('[data-view]').forEach(section => {
+            section.hidden = section.dataset.view !== view;
+        });
+
+        document.querySelectorAll('.main-nav a[data-route]').forEach(link => {
+            const active = link.dataset.route === routeName || (link.dataset.route === 'contacts' && routeName === 'detail');
+            if (active) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        const settingsPanel = document.querySelector('.settings-panel');
+        if (settingsPanel && view === 'settings') {
+            settingsPanel.open = true;
+        }
+    }
+
+    /**
+     * Página completa de un contacto
+     */
+    static renderContactDetail(contact, loading = false) {
+        const container = document.getElementById('contact-detail');
+        if (!container) return;
+
+        const backLink = html`<a href="#/contacts" class="back-link">${t('detail.back')}</a>`;
+
+        if (!contact) {
+            SafeHtml.render(container, loading
+                ? html`<div class="loading">${t('detail.loading')}</div>`
+                : html`
+                    <div class="empty-state">
+                        <h3>${t('detail.notFound')}</h3>
+                        <p>${t('detail.notFoundHelp')}</p>
+                    </div>
+                    ${backLink}
+                `);
+            return;
+        }
+
+        const fullName = `${contact.nombre || ''} ${contact.apellido || ''}`.trim();
+        const contactId = Utils.getContactId(contact);
+        document.title = t('detail.pageTitle', { name: fullName });
+
+        SafeHtml.render(container, html`
+            ${backLink}
+            <div class="contact-detail-header${contact.favorito ? ' favorite' : ''}">
+                <div class="contact-avatar">${Utils.getInitials(fullName)}</div>
+                <div>
+                    <h2>${fullName} ${contact.favorito ? '⭐' : ''}</h2>
+                    ${this.createTagList(contact.etiquetas)}
+                </div>
+            </div>
+            <ul class="contact-details">
+                ${this.createDetailItems(contact)}
+            </ul>
+            <div class="contact-detail-actions">
+                <button type="button" class="btn" data-action="call" data-phone="${contact.telefono || ''}">${t('detail.call')}</button>
+                <a class="btn" href="#/contacts/${encodeURIComponent(contactId)}/edit">${t('detail.edit')}</a>
+                <button type="button" class="btn btn-refresh" data-action="copy-link">${t('detail.copyLink')}</button>
+                <button type="button" class="btn btn-cancel" data-action="delete" data-id="${contactId}">${t('detail.delete')}</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Despliega u oculta los detalles de una tarjeta
+     */
+    static toggleCardDetails(button) {
+        const details = button.nextElementSibling;
+        const expanded = details.hidden;
+
+        details.hidden = !expanded;
+        button.setAttribute('aria-expanded', String(expanded));
+        button.textContent = t(expanded ? 'card.lessDetails' : 'card.moreDetails');
+
+        // La altura de la fila cambia: se vuelve a medir
+        if (this.contactGrid) this.contactGrid.scheduleUpdate();
+    }
+
+    /**
+     * Insignia y acciones de un contacto pendiente de sincronizar
+     */
+    static createSyncState(contact) {
+        if (!contact.pendingStatus) {
+            return { badge: '', actions: '' };
+        }
+
+        const failed = contact.pendingStatus === 'failed';
+        const badge = failed
+            ? html`<div class="sync-badge failed" title="${contact.syncError || ''}">${t('sync.failed')}</div>`
+            : html`<div class="sync-badge">${t('sync.pending')}</div>`;
+
+        const retry = failed
+            ? html`<button type="button" class="btn-retry-sync" data-action="retry-sync" data-id="${contact.id}" title="${t('sync.retry')}">🔁</button>`
+            : '';
+
+        return {
+            badge,
+            actions: html`${retry}
+                    <button type="button" class="btn-delete" data-action="discard-sync" data-id="${contact.id}" title="${t('sync.discard')}">
+                        🗑️
+                    </button>`
+        };
+    }
+
+    /**
+     * Muestra el estado vacío
+     */
+    static showEmptyState() {
+        if (!dom.contactsContainer) return;
+        
+        SafeHtml.render(dom.contactsContainer, html`
+            <div class="empty-state">
+                <div class="empty-icon">📭</div>
+                <h3>${t('empty.title')}</h3>
+                <p>${t('empty.text')}</p>
+            </div>
+        `);
+    }
+
+    /**
+     * Muestra los grupos de duplicados con la opción de fusionarlos
+     */
+    static renderDuplicateGroups(groups) {
+        const results = document.getElementById('duplicates-results');
+        if (!results) return;
+
+        if (groups.length === 0) {
+            SafeHtml.render(results, html`<p class="duplicates-empty">${t('duplicates.none')}</p>`);
+            return;
+        }
+
+        SafeHtml.render(results, groups.map((group, groupIndex) => html`
+            <div class="duplicate-group">
+                <h4>${t('duplicates.group', { index: groupIndex + 1, count: group.length })}</h4>
+                ${group.map((contact, index) => html`
+                    <label class="duplicate-option">
+                        <input type="radio" name="primary-${groupIndex}" value="${Utils.getContactId(contact)}" ${index === 0 ? 'checked' : ''}>
+                        <span>${`${contact.nombre || ''} ${contact.apellido || ''}`.trim()}</span>
+                        <span class="duplicate-phone">📞 ${Utils.formatPhone(contact.telefono || '')}</span>
+                    </label>
+                `)}
+                <button type="button" class="btn btn-merge" data-merge-group="${groupIndex}">${t('duplicates.merge')}</button>
+            </div>
+        `));
+    }
+
+    /**
+     * Quita los grupos de duplicados de una búsqueda anterior
+     */
+    static clearDuplicateGroups() {
+        const results = document.getElementById('duplicates-results');
+        if (results) results.replaceChildren();
+    }
+
+    /**
+     * Abre o cierra el menú de exportación
+     */
+    static toggleExportMenu(open) {
+        if (!dom.exportBtn || !dom.exportMenu) return;
+
+        const shouldOpen = open === undefined ? dom.exportMenu.hidden : open;
+        dom.exportMenu.hidden = !shouldOpen;
+        dom.exportBtn.setAttribute('aria-expanded', String(shouldOpen));
+    }
+
+    /**
+     * Habilita la opción "solo filtrados" cuando hay una búsqueda activa
+     */
+    static updateExportScope(filterActive) {
+        if (!dom.exportMenu) return;
+
+        const filteredOption = dom.exportMenu.querySelector('input[name="exportScope"][value="filtered"]');
+        if (!filteredOption) return;
+
+        filteredOption.disabled = !filterActive;
+        if (!filterActive && filteredOption.checked) {
+            dom.exportMenu.querySelector('input[name="exportScope"][value="all"]').checked = true;
+        }
+    }
+
+    /**
+     * Muestra el estado sin resultados de búsqueda
+     */
+    static showNoResults(query) {
+        if (!dom.contactsContainer) return;
+        
+        SafeHtml.render(dom.contactsContainer, html`
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <h3>${t('search.noResults')}</h3>
+                <p>${t('search.noMatches', { query: query.trim() })}</p>
+            </div>
+        `);
+    }
+
+    /**
+     * Opciones del selector de país del teléfono
+     */
+    static createCountryOptions(selected = DEFAULT_PHONE_COUNTRY) {
+        return Object.entries(PhoneNumber.COUNTRIES)
+            .map(([code, country]) => html`
+                <option value="${code}" ${code === selected ? 'selected' : ''}>${country.flag} +${country.dialCode} ${PhoneNumber.countryName(code)}</option>
+            `);
+    }
+
+    /**
+     * Crea una fila de teléfono (tipo, país y número)
+     */
+    static createPhoneRow(phone = {}, index = 0) {
+        const parsed = PhoneNumber.parse(phone.numero);
+        const country = parsed ? parsed.code : (phone.pais || DEFAULT_PHONE_COUNTRY);
+        const number = parsed ? PhoneNumber.format(phone.numero, 'national') : (phone.numero || '');
+        const labels = Object.entries(ContactModel.PHONE_LABELS)
+            .map(([value, label]) => html`<option value="${value}" ${value === phone.etiqueta ? 'selected' : ''} data-i18n="${label}">${t(label)}</option>`);
+
+        return html`
+            <div class="form-row phone-row">
+                <select name="etiqueta" aria-label="${t('form.phoneType')}" data-i18n-aria-label="form.phoneType">${labels}</select>
+                <select name="pais" aria-label="${t('form.phoneCountry')}" data-i18n-aria-label="form.phoneCountry">${this.createCountryOptions(country)}</select>
+                <input type="tel" name="telefono" value="${number}"
+                    placeholder="${t('form.example', { example: PhoneNumber.COUNTRIES[country].example })}"
+                    ${index === 0 ? html`id="telefono" required` : html`aria-label="${t('form.extraPhone')}" data-i18n-aria-label="form.extraPhone"`}>
+                ${index === 0 ? '' : html`<button type="button" class="btn-remove-row" title="${t('form.removePhone')}" data-i18n-title="form.removePhone">✖</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Crea una fila de correo electrónico
+     */
+    static createEmailRow(email = '', index = 0) {
+        return html`
+            <div class="form-row email-row">
+                <input type="email" name="email" value="${email}" placeholder="${t('form.emailPlaceholder')}" data-i18n-placeholder="form.emailPlaceholder"
+                    ${index === 0 ? html`id="email"` : html`aria-label="${t('form.extraEmail')}" data-i18n-aria-label="form.extraEmail"`}>
+                ${index === 0 ? '' : html`<button type="button" class="btn-remove-row" title="${t('form.removeEmail')}" data-i18n-title="form.removeEmail">✖</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Añade una fila de teléfono vacía
+     */
+    static addPhoneRow() {
+        const list = document.getElementById('phone-list');
+        if (!list) return;
+
+        SafeHtml.append(list, this.createPhoneRow({}, list.children.length));
+        list.lastElementChild.querySelector('input').focus();
+    }
+
+    /**
+     * Añade una fila de correo vacía
+     */
+    static addEmailRow() {
+        const list = document.getElementById('email-list');
+        if (!list) return;
+
+        SafeHtml.append(list, this.createEmailRow('', list.children.length));
+        list.lastElementChild.querySelector('input').focus();
+    }
+
+    /**
+     * Pinta las filas de teléfonos y correos
+     */
+    static renderContactFormRows(phones, emails) {
+        const phoneList = document.getElementById('phone-list');
+        const emailList = document.getElementById('email-list');
+
+        if (phoneList) {
+            const rows = phones.length > 0 ? phones : [{}];
+            SafeHtml.render(phoneList, rows.map((phone, index) => this.createPhoneRow(phone, index)));
+        }
+
+        if (emailList) {
+            const rows = emails.length > 0 ? emails : [''];
+            SafeHtml.render(emailList, rows.map((email, index) => this.createEmailRow(email, index)));
+        }
+    }
+
+    /**
+     * Deja una sola fila vacía de teléfono y de correo
+     */
+    static resetContactFormRows() {
+        this.renderContactFormRows([], []);
+    }
+
+    /**
+     * Rellena el formulario con todos los datos de un contacto
+     */
+    static fillContactForm(contact) {
+        if (!dom.contactForm) return;
+
+        const full = ContactModel.withDefaults(contact);
+        dom.contactForm.elements.nombre.value = full.nombre || '';
+        dom.contactForm.elements.apellido.value = full.apellido || '';
+        dom.contactForm.elements.direccion.value = full.direccion;
+        dom.contactForm.elements.notas.value = full.notas;
+        dom.contactForm.elements.cumpleanos.value = full.cumpleanos;
+        dom.contactForm.elements.etiquetas.value = full.etiquetas.join(', ');
+        dom.contactForm.elements.favorito.checked = full.favorito;
+        this.renderContactFormRows(full.telefonos, full.emails);
+
+        const extraFields = document.getElementById('extra-fields');
+        if (extraFields && ContactModel.hasDetails(full)) {
+            extraFields.open = true;
+        }
+    }
+
+    /**
+     * Control del formulario de una clave de Validator.fieldErrors. Los índices
+     * siguen el filtrado de readContactForm: el primer teléfono cuenta siempre,
+     * las filas extra vacías y los correos vacíos no.
+     */
+    static getFieldControl(field) {
+        if (!dom.contactForm) return null;
+
+        const [name, index] = field.split('.');
+        if (index === undefined) {
+            return dom.contactForm.elements[name] || null;
+        }
+
+        const selector = name === 'telefonos' ? 'input[name="telefono"]' : 'input[name="email"]';
+        const controls = [...dom.contactForm.querySelectorAll(selector)]
+            .filter((control, position) => (name === 'telefonos' && position === 0) || control.value.trim());
+        return controls[Number(index)] || null;
+    }
+
+    /**
+     * Muestra cada error bajo su campo, enlazado con aria-describedby, y lleva
+     * el foco al primero. Devuelve los mensajes que no tienen campo donde mostrarse.
+     */
+    static showFieldErrors(fieldErrors) {
+        this.clearFieldErrors();
+        const unplaced = [];
+
+        Object.entries(fieldErrors).forEach(([field, message]) => {
+            const control = this.getFieldControl(field);
+            if (!control) {
+                unplaced.push(message);
+                return;
+            }
+
+            const error = document.createElement('p');
+            error.className = 'field-error';
+            error.id = `error-${field.replace('.', '-')}`;
+            error.textContent = message;
+            (control.closest('.form-row') || control).after(error);
+
+            control.setAttribute('aria-invalid', 'true');
+            control.setAttribute('aria-describedby', error.id);
+
+            // Los campos plegados se despliegan para que el error se vea
+            const details = control.closest('details');
+            if (details) details.open = true;
+        });
+
+        const first = dom.contactForm ? dom.contactForm.querySelector('[aria-invalid="true"]') : null;
+        if (first) first.focus();
+
+        return unplaced;
+    }
+
+    /**
+     * Quita el error de un campo, por ejemplo al corregirlo
+     */
+    static clearFieldError(control) {
+        if (!control || !control.hasAttribute('aria-invalid')) return;
+
+        const error = document.getElementById(control.getAttribute('aria-describedby'));
+        if (error) error.remove();
+
+        control.removeAttribute('aria-invalid');
+        control.removeAttribute('aria-describedby');
+    }
+
+    /**
+     * Quita todos los errores del formulario
+     */
+    static clearFieldErrors() {
+        if (!dom.contactForm) return;
+
+        dom.contactForm.querySelectorAll('[aria-invalid]').forEach(control => this.clearFieldError(control));
+    }
+
+    /**
+     * Muestra un ejemplo de número para el país elegido en una fila
+     */
+    static updatePhonePlaceholder(row) {
+        if (!row) return;
+
+        const country = PhoneNumber.COUNTRIES[row.querySelector('select[name="pais"]').value];
+        if (country) {
+            row.querySelector('input[name="telefono"]').placeholder = t('form.example', { example: country.example });
+        }
+    }
+
+    /**
+     * Traduce los países y ejemplos de las filas de teléfono ya creadas
+     * sin perder lo que el usuario haya escrito
+     */
+    static translateFormRows() {
+        if (!dom.contactForm) return;
+
+        dom.contactForm.querySelectorAll('select[name="pais"] option').forEach(option => {
+            const country = PhoneNumber.COUNTRIES[option.value];
+            option.textContent = `${country.flag} +${country.dialCode} ${PhoneNumber.countryName(option.value)}`;
+        });
+        dom.contactForm.querySelectorAll('.phone-row').forEach(row => this.updatePhonePlaceholder(row));
+    }
+
+    /**
+     * Rellena el selector de idioma con los catálogos disponibles
+     */
+    static renderLanguageOptions() {
+        if (!dom.languageSelect) return;
+
+        dom.languageSelect.replaceChildren(...Object.entries(I18n.LANGUAGES)
+            .map(([locale, name]) => new Option(name, locale, false, locale === I18n.locale)));
+    }
+
+    /**
+     * Refleja la configuración actual en el panel de ajustes
+     */
+    static renderSettings(settings) {
+        if (!dom.settingsForm) return;
+
+        // Las opciones se rehacen para que sigan el idioma elegido
+        const select = dom.settingsForm.elements.dataSource;
+        select.replaceChildren(...Object.entries(DataSourceManager.TYPES)
+            .map(([value, type]) => new Option(t(type.label), value)));
+
+        const presets = document.getElementById('cors-proxy-presets');
+        if (presets && !presets.options.length) {
+            CORS_PROXY_PRESETS.forEach(url => presets.appendChild(new Option(url)));
+        }
+
+        const intervalSelect = dom.settingsForm.elements.refreshInterval;
+        intervalSelect.replaceChildren(...AutoRefresher.INTERVALS
+            .map(seconds => new Option(AutoRefresher.describeInterval(seconds), seconds)));
+
+        const authSelect = dom.settingsForm.elements.auth;
+        authSelect.replaceChildren(...Object.entries(AuthManager.TYPES)
+            .map(([value, type]) => new Option(t(type.label), value)));
+
+        const authPresets = document.getElementById('auth-url-presets');
+        if (authPresets && !authPresets.options.length) {
+            authPresets.appendChild(new Option(MOCK_AUTH_URL));
+        }
+
+        select.value = settings.dataSource;
+        dom.settingsForm.elements.restUrl.value = settings.restUrl || '';
+        intervalSelect.value = settings.refreshInterval;
+        authSelect.value = AuthManager.isEnabled(settings) ? settings.auth : 'none';
+        dom.settingsForm.elements.authUrl.value = settings.authUrl || '';
+        this.toggleRestUrlField(settings.dataSource);
+        this.toggleAuthUrlField(authSelect.value);
+    }
+
+    /**
+     * Muestra el campo de URL solo para el servicio de sesiones remoto
+     */
+    static toggleAuthUrlField(auth) {
+        const authUrlGroup = document.getElementById('auth-url-group');
+        if (authUrlGroup) {
+            authUrlGroup.hidden = auth !== 'remote';
+        }
+    }
+
+    /**
+     * Explica en el inicio de sesión con qué servicio se entra
+     */
+    static renderLoginHelp(settings) {
+        const help = document.getElementById('login-help');
+        if (!help) return;
+
+        let host = settings.authUrl;
+        try {
+            host = new URL(settings.authUrl).host;
+        } catch (error) {
+            // Se muestra la URL tal cual
+        }
+
+        help.textContent = settings.auth === 'remote'
+            ? t('login.help.remote', { host })
+            : t('login.help.local');
+    }
+
+    /**
+     * Menú de la cabecera con el usuario de la sesión; sin sesión se oculta
+     */
+    static renderUserMenu(user) {
+        if (!dom.userMenu) return;
+
+        const button = dom.userMenu.querySelector('#user-menu-btn');
+        dom.userMenu.hidden = !user;
+        this.toggleUserMenu(false);
+
+        if (user) {
+            button.textContent = `👤 ${user.name}`;
+            button.title = t('auth.menu', { name: user.name });
+        }
+    }
+
+    /**
+     * Abre o cierra el menú del usuario
+     */
+    static toggleUserMenu(open) {
+        if (!dom.userMenu) return;
+
+        const button = dom.userMenu.querySelector('#user-menu-btn');
+        const options = dom.userMenu.querySelector('#user-menu-options');
+        const shouldOpen = open === undefined ? options.hidden : open;
+        options.hidden = !shouldOpen;
+        button.setAttribute('aria-expanded', String(shouldOpen));
+    }
+
+    /**
+     * Muestra el campo de URL solo para la fuente REST configurable
+     */
+    static toggleRestUrlField(dataSource) {
+        const restUrlGroup = document.getElementById('rest-url-group');
+        if (restUrlGroup) {
+            restUrlGroup.hidden = dataSource !== 'rest';
+        }
+    }
+
+    /**
+     * Cambia el formulario entre modo alta y modo edición
+     */
+    static setFormMode(editing) {
+        const formTitle = document.getElementById('form-title');
+        const submitBtn = dom.contactForm ? dom.contactForm.querySelector('button[type="submit"]') : null;
+
+        if (formTitle) {
+            formTitle.textContent = t(editing ? 'form.title.edit' : 'form.title.new');
+        }
+
+        if (submitBtn) {
+            submitBtn.textContent = this.getSubmitLabel(editing);
+        }
+
+        if (dom.cancelEditBtn) {
+            dom.cancelEditBtn.hidden = !editing;
+        }
+
+        if (dom.contactForm) {
+            dom.contactForm.classList.toggle('editing', editing);
+        }
+    }
+
+    /**
+     * Texto del botón de envío según el modo del formulario
+     */
+    static getSubmitLabel(editing) {
+        return t(editing ? 'form.submit.edit' : 'form.submit.new');
+    }
+
+    /**
+     * Aviso discreto de la actualización automática; se oculta solo
+     */
+    static showRefreshNotice(text) {
+        const notice = document.getElementById('refresh-notice');
+        if (!notice) return;
+
+        notice.textContent = text;
+        notice.hidden = false;
+
+        clearTimeout(this.refreshNoticeTimer);
+        this.refreshNoticeTimer = setTimeout(() => {
+            notice.hidden = true;
+        }, 6000);
+    }
+
+    /**
+     * Actualiza el contador de contactos
+     */
+    static updateContactCount(count, total = null) {
+        if (!dom.contactCount) return;
+        
+        dom.contactCount.textContent = total !== null
+            ? t('contacts.countFiltered', { count: total, visible: count })
+            : t('contacts.count', { count });
+    }
+}
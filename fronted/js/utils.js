@@ -0,0 +1,225 @@
+/**
+ * UTILIDADES
+ * Plantillas html con escape automático y funciones auxiliares
+ */
+
+import { PhoneNumber } from './validation.js';
+import { MessageHandler } from './ui.js';
+import { I18n, t } from './i18n.js';
+
+/**
+ * PLANTILLAS HTML SEGURAS
+ * html`...` escapa todo valor interpolado salvo los fragmentos que ya son
+ * SafeHtml; así los datos de la API o del usuario nunca se interpretan como
+ * marcado. Todo lo que se pinta con innerHTML pasa por SafeHtml.render.
+ */
+export class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+
+    /**
+     * Etiqueta de plantilla; las listas se concatenan y null o undefined se omiten
+     */
+    static html(strings, ...values) {
+        return new SafeHtml(strings.reduce((result, part, index) =>
+            result + part + (index < values.length ? SafeHtml.escape(values[index]) : ''), ''));
+    }
+
+    /**
+     * Marcado de confianza que ya se generó con html`` (por ejemplo, guardado como texto)
+     */
+    static trusted(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    /**
+     * Une valores y fragmentos con un separador
+     */
+    static join(values, separator = '') {
+        return new SafeHtml(values.map(value => SafeHtml.escape(value)).join(SafeHtml.escape(separator)));
+    }
+
+    static escape(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(item => SafeHtml.escape(item)).join('');
+        if (value === null || value === undefined) return '';
+        return Utils.escapeHtml(value);
+    }
+
+    /**
+     * Sustituye el contenido de un elemento; el texto plano se escapa
+     */
+    static render(element, content) {
+        element.innerHTML = SafeHtml.escape(content);
+    }
+
+    /**
+     * Añade contenido al final de un elemento
+     */
+    static append(element, content) {
+        element.insertAdjacentHTML('beforeend', SafeHtml.escape(content));
+    }
+}
+
+export const html = SafeHtml.html;
+
+/**
+ * UTILIDADES GENERALES
+ */
+export class Utils {
+    /**
+     * Debounce function para limitar llamadas
+     */
+    static debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    /**
+     * Formatea el número de teléfono para mostrar
+     */
+    static formatPhone(phone) {
+        if (!phone) return '';
+        return PhoneNumber.format(phone);
+    }
+
+    /**
+     * Formatea una fecha AAAA-MM-DD para mostrarla
+     */
+    static formatDate(value) {
+        const date = new Date(`${value}T00:00:00`);
+        if (Number.isNaN(date.getTime())) return value;
+        return I18n.formatDate(date);
+    }
+
+    /**
+     * Obtiene las iniciales de un nombre
+     */
+    static getInitials(fullName) {
+        const words = (fullName || '').split(/\s+/).filter(Boolean);
+        if (words.length === 0) return '??';
+        
+        return words
+            .slice(0, 2)
+            .map(name => name.charAt(0).toUpperCase())
+            .join('');
+    }
+
+    /**
+     * Normaliza un texto para comparar: minúsculas y sin acentos
+     */
+    static normalizeText(text) {
+        if (!text) return '';
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Escapa los caracteres especiales de HTML
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Capitaliza la primera letra de cada palabra
+     */
+    static capitalizeWords(str) {
+        if (!str) return '';
+        return str.replace(/\w\S*/g, (txt) => 
+            txt.charAt(0).toUpperCase() + txt.substring(1).toLowerCase()
+        );
+    }
+
+    /**
+     * Obtiene el identificador de un contacto en la aplicación: el id de la
+     * API o, si no lo trae, el id local único que recibe al cargar la lista
+     */
+    static getContactId(contact) {
+        if (contact.localId && (contact.id === undefined || contact.id === null)) {
+            return contact.localId;
+        }
+        return this.getSourceId(contact);
+    }
+
+    /**
+     * Identificador con el que la API reconoce el contacto (su id o su teléfono)
+     */
+    static getSourceId(contact) {
+        if (contact.id !== undefined && contact.id !== null) {
+            return String(contact.id);
+        }
+        return (contact.telefono || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Comprueba que una cadena sea una URL http(s)
+     */
+    static isValidUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Inicia una llamada telefónica
+     */
+    static callPhone(phone) {
+        if (phone) {
+            // Marcar siempre en E.164 para que funcione desde cualquier país
+            const dialable = PhoneNumber.toE164(phone) || String(phone).replace(/[^\d+]/g, '');
+            window.open(`tel:${dialable}`, '_self');
+        }
+    }
+
+    /**
+     * Descarga un texto como archivo
+     */
+    static downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Copia texto al portapapeles
+     */
+    static async copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            MessageHandler.showSuccess(t('clipboard.copied'));
+        } catch (err) {
+            MessageHandler.showError(t('clipboard.failed'));
+        }
+    }
+}
@@ -0,0 +1,465 @@
+/**
+ * VALIDACIÓN
+ * Teléfonos internacionales, reglas del formulario y esquema de los registros de la API
+ */
+
+import { DEFAULT_PHONE_COUNTRY } from './config.js';
+import { ContactModel, ContactTags } from './contacts.js';
+import { t } from './i18n.js';
+
+/**
+ * ESQUEMA DE LOS CONTACTOS RECIBIDOS
+ * Normaliza lo que llega de la fuente con los límites de Validator. Los
+ * registros que no se pueden reparar se apartan en vez de mostrarse rotos.
+ */
+export class ContactSchema {
+    /**
+     * Normaliza una lista: devuelve los contactos válidos y los problemas
+     */
+    static normalizeList(records) {
+        const contacts = [];
+        const problems = [];
+
+        records.forEach((record, index) => {
+            const { contact, errors } = this.normalize(record);
+            
+            if (errors.length === 0) {
+                contacts.push(contact);
+            } else {
+                problems.push({ index, record, errors });
+            }
+        });
+
+        return { contacts, problems };
+    }
+
+    /**
+     * Normaliza un registro. Los campos opcionales con valores inválidos se
+     * descartan; los obligatorios ausentes o mal formados son errores.
+     */
+    static normalize(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { contact: null, errors: [t('schema.notObject')] };
+        }
+
+        const errors = [];
+        const contact = { ...record };
+
+        // Algunas APIs devuelven ids numéricos; el resto del código los trata como texto
+        if (record.id === undefined || record.id === null) {
+            delete contact.id;
+        } else if (typeof record.id === 'string' || typeof record.id === 'number') {
+            contact.id = String(record.id).trim();
+        } else {
+            errors.push(t('schema.invalidId'));
+        }
+
+        ['nombre', 'apellido', 'direccion'].forEach(field => {
+            const text = this.toText(record[field]);
+            if (text === null) {
+                errors.push(t('schema.notText', { field }));
+                return;
+            }
+            contact[field] = Validator.sanitizeText(text);
+        });
+
+        const notas = this.toText(record.notas);
+        contact.notas = notas === null ? '' : notas.trim();
+
+        // Teléfono principal; los números llegan a veces como number
+        const telefono = this.toText(record.telefono);
+        if (telefono === null) {
+            errors.push(t('schema.phoneNotText'));
+        } else {
+            contact.telefono = telefono.trim();
+        }
+
+        contact.telefonos = this.normalizePhones(record.telefonos);
+        if (!contact.telefono && contact.telefonos.length > 0) {
+            contact.telefono = contact.telefonos[0].numero;
+        }
+
+        contact.emails = (Array.isArray(record.emails) ? record.emails : [])
+            .map(email => (this.toText(email) || '').trim().toLowerCase())
+            .filter(email => Validator.isValidEmail(email));
+
+        contact.cumpleanos = Validator.isValidBirthday(record.cumpleanos) ? record.cumpleanos : '';
+
+        contact.etiquetas = ContactTags.normalize((Array.isArray(record.etiquetas) ? record.etiquetas : [])
+            .filter(tag => typeof tag === 'string' && tag.trim().length <= ContactTags.MAX_LENGTH))
+            .slice(0, ContactTags.MAX_TAGS);
+
+        contact.favorito = record.favorito === true || record.favorito === 'true' || record.favorito === 1;
+
+        if (errors.length === 0) {
+            errors.push(...this.checkRequired(contact));
+        }
+
+        return { contact, errors };
+    }
+
+    /**
+     * Obligatorios y longitudes máximas, los mismos que aplica el formulario
+     */
+    static checkRequired(contact) {
+        const errors = [];
+
+        Validator.REQUIRED_FIELDS.forEach(field => {
+            if (!contact[field]) {
+                errors.push(t('schema.missing', { field }));
+            }
+        });
+
+        Object.entries(Validator.MAX_LENGTHS).forEach(([field, max]) => {
+            if ((contact[field] || '').length > max) {
+                errors.push(t('schema.tooLong', { field, max }));
+            }
+        });
+
+        if (contact.telefono && !/\d/.test(contact.telefono)) {
+            errors.push(t('schema.phoneNoDigits'));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Teléfonos adicionales; las entradas mal formadas se descartan
+     */
+    static normalizePhones(phones) {
+        if (!Array.isArray(phones)) return [];
+
+        return phones
+            .filter(phone => phone && typeof phone === 'object')
+            .map(phone => ({
+                etiqueta: ContactModel.PHONE_LABELS[phone.etiqueta] ? phone.etiqueta : 'movil',
+                numero: (this.toText(phone.numero) || '').trim()
+            }))
+            .filter(phone => /\d/.test(phone.numero));
+    }
+
+    /**
+     * Texto de un valor escalar; null si no se puede representar como texto
+     */
+    static toText(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'string') return value;
+        if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+        return null;
+    }
+
+    /**
+     * Nombre legible de un registro apartado, aunque esté incompleto
+     */
+    static describe(record) {
+        if (!record || typeof record !== 'object') {
+            return String(record);
+        }
+
+        const name = [record.nombre, record.apellido]
+            .filter(part => typeof part === 'string' && part.trim())
+            .join(' ');
+        
+        return name || (record.id !== undefined ? `id ${record.id}` : t('schema.unnamed'));
+    }
+}
+
+/**
+ * CLASE PARA TELÉFONOS INTERNACIONALES
+ * Interpreta, valida y formatea números; se almacenan en E.164 (+18091234567)
+ */
+export class PhoneNumber {
+    static COUNTRIES = {
+        DO: { flag: '🇩🇴', dialCode: '1', pattern: /^(809|829|849)\d{7}$/, nanp: true, example: '(809) 555-1234' },
+        PR: { flag: '🇵🇷', dialCode: '1', pattern: /^(787|939)\d{7}$/, nanp: true, example: '(787) 555-1234' },
+        US: { flag: '🇺🇸', dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, nanp: true, example: '(305) 555-1234' },
+        MX: { flag: '🇲🇽', dialCode: '52', pattern: /^\d{10}$/, groups: [2, 4, 4], example: '55 1234 5678' },
+        CO: { flag: '🇨🇴', dialCode: '57', pattern: /^(3\d{9}|60\d{8})$/, groups: [3, 3, 4], example: '300 123 4567' },
+        VE: { flag: '🇻🇪', dialCode: '58', pattern: /^[24]\d{9}$/, trunkPrefix: '0', groups: [3, 3, 4], example: '412 123 4567' },
+        HT: { flag: '🇭🇹', dialCode: '509', pattern: /^[234]\d{7}$/, groups: [4, 4], example: '3412 3456' },
+        ES: { flag: '🇪🇸', dialCode: '34', pattern: /^[6789]\d{8}$/, groups: [3, 3, 3], example: '612 345 678' }
+    };
+
+    /**
+     * Nombre del país en el idioma activo
+     */
+    static countryName(code) {
+        return t(`country.${code}`);
+    }
+
+    /**
+     * Busca el país por el prefijo internacional de un número
+     */
+    static findByDialCode(digits) {
+        return Object.keys(this.COUNTRIES)
+            .sort((a, b) => this.COUNTRIES[b].dialCode.length - this.COUNTRIES[a].dialCode.length)
+            .find(code => digits.startsWith(this.COUNTRIES[code].dialCode)) || null;
+    }
+
+    /**
+     * Elige el país NANP (+1) que corresponde al código de área
+     */
+    static resolveNanpCountry(national, preferred) {
+        if (this.COUNTRIES[preferred].pattern.test(national)) return preferred;
+        
+        return Object.keys(this.COUNTRIES)
+            .filter(code => this.COUNTRIES[code].nanp)
+            .find(code => this.COUNTRIES[code].pattern.test(national)) || preferred;
+    }
+
+    /**
+     * Interpreta un número. Devuelve { code, national, e164 } o null si no es válido
+     */
+    static parse(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+        const raw = String(input === undefined || input === null ? '' : input).trim();
+        if (!raw) return null;
+
+        let digits = raw.replace(/\D/g, '');
+        let code = this.COUNTRIES[defaultCountry] ? defaultCountry : DEFAULT_PHONE_COUNTRY;
+
+        if (raw.startsWith('+') || raw.startsWith('00')) {
+            if (raw.startsWith('00')) digits = digits.slice(2);
+            
+            code = this.findByDialCode(digits);
+            if (!code) return null;
+            digits = digits.slice(this.COUNTRIES[code].dialCode.length);
+        } else {
+            const country = this.COUNTRIES[code];
+            
+            // Quitar el 1 de larga distancia o el prefijo troncal nacional
+            if (country.nanp && digits.length === 11 && digits.startsWith('1')) {
+                digits = digits.slice(1);
+            } else if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+                digits = digits.slice(country.trunkPrefix.length);
+            }
+        }
+
+        if (this.COUNTRIES[code].nanp) {
+            code = this.resolveNanpCountry(digits, code);
+        }
+
+        const country = this.COUNTRIES[code];
+        if (!country.pattern.test(digits)) return null;
+
+        return {
+            code,
+            national: digits,
+            e164: `+${country.dialCode}${digits}`
+        };
+    }
+
+    /**
+     * Indica si el número es válido para el país
+     */
+    static isValid(input, country = DEFAULT_PHONE_COUNTRY) {
+        return this.parse(input, country) !== null;
+    }
+
+    /**
+     * Número en formato E.164, o cadena vacía si no es válido
+     */
+    static toE164(input, country = DEFAULT_PHONE_COUNTRY) {
+        const phone = this.parse(input, country);
+        return phone ? phone.e164 : '';
+    }
+
+    /**
+     * Formatea un número en modo nacional, internacional o automático
+     * (nacional para el país por defecto, internacional para el resto)
+     */
+    static format(input, mode = 'auto') {
+        const phone = this.parse(input);
+        if (!phone) return String(input || '');
+
+        const country = this.COUNTRIES[phone.code];
+        const national = country.nanp
+            ? phone.national.replace(/(\d{3})(\d{3})(\d{4})/, '($1) $2-$3')
+            : this.groupDigits(phone.national, country.groups);
+
+        const international = mode === 'international' || (mode === 'auto' && phone.code !== DEFAULT_PHONE_COUNTRY);
+        return international ? `+${country.dialCode} ${national}` : national;
+    }
+
+    /**
+     * Separa los dígitos en bloques
+     */
+    static groupDigits(digits, groups) {
+        const parts = [];
+        let position = 0;
+        
+        groups.forEach(size => {
+            parts.push(digits.slice(position, position + size));
+            position += size;
+        });
+        
+        if (position < digits.length) {
+            parts.push(digits.slice(position));
+        }
+        
+        return parts.filter(Boolean).join(' ');
+    }
+}
+
+/**
+ * CLASE PARA VALIDACIONES
+ */
+export class Validator {
+    // Reglas compartidas con ContactSchema para los datos que llegan de la fuente
+    static REQUIRED_FIELDS = ['nombre', 'apellido', 'telefono'];
+
+    static MAX_LENGTHS = {
+        nombre: 50,
+        apellido: 50,
+        direccion: 200,
+        notas: 1000
+    };
+
+    /**
+     * Valida el teléfono según las reglas del país
+     */
+    static isValidPhone(phone, country = DEFAULT_PHONE_COUNTRY) {
+        if (!phone) return false;
+        return PhoneNumber.isValid(phone, country);
+    }
+
+    /**
+     * Valida el nombre (letras de cualquier idioma, espacios, apóstrofos y guiones)
+     */
+    static isValidName(name) {
+        if (!name) return false;
+        const nameRegex = /^[\p{L}\p{M}\s'-]+$/u;
+        const trimmed = name.trim();
+        return nameRegex.test(name) && /\p{L}/u.test(name) &&
+            trimmed.length >= 2 && trimmed.length <= this.MAX_LENGTHS.nombre;
+    }
+
+    /**
+     * Valida una dirección de correo electrónico
+     */
+    static isValidEmail(email) {
+        if (!email) return false;
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email) && email.length <= 254;
+    }
+
+    /**
+     * Valida una fecha de cumpleaños (AAAA-MM-DD, no futura)
+     */
+    static isValidBirthday(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+        
+        // En hora local y componente a componente: el 30 de febrero pasaría a marzo
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year &&
+            date.getMonth() === month - 1 &&
+            date.getDate() === day &&
+            year >= 1900 &&
+            date <= new Date();
+    }
+
+    /**
+     * Limpia y formatea el texto
+     */
+    static sanitizeText(text) {
+        if (!text) return '';
+        return text.trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Limpia los campos de un contacto ya validado
+     */
+    static sanitizeContact(contactData) {
+        const { pais, ...fields } = contactData;
+        
+        const telefonos = ContactModel.getPhones(contactData)
+            .filter(phone => phone.numero)
+            .map(phone => ({
+                etiqueta: ContactModel.PHONE_LABELS[phone.etiqueta] ? phone.etiqueta : 'movil',
+                numero: PhoneNumber.toE164(phone.numero, phone.pais || pais) || String(phone.numero).replace(/[^\d+]/g, '')
+            }));
+        
+        return {
+            ...fields,
+            nombre: this.sanitizeText(contactData.nombre),
+            apellido: this.sanitizeText(contactData.apellido),
+            telefono: telefonos.length > 0 ? telefonos[0].numero : '',
+            telefonos,
+            emails: (contactData.emails || []).map(email => email.trim().toLowerCase()).filter(Boolean),
+            direccion: this.sanitizeText(contactData.direccion),
+            notas: (contactData.notas || '').trim(),
+            cumpleanos: contactData.cumpleanos || '',
+            etiquetas: ContactTags.normalize(contactData.etiquetas),
+            favorito: Boolean(contactData.favorito)
+        };
+    }
+
+    /**
+     * Valida todos los campos del contacto
+     */
+    static validateContact(contactData) {
+        // Errores por campo; la clave identifica el control del formulario
+        const fieldErrors = {};
+
+        // Validar nombre
+        if (!contactData.nombre) {
+            fieldErrors.nombre = t('validation.nombre.required');
+        } else if (!this.isValidName(contactData.nombre)) {
+            fieldErrors.nombre = t('validation.nombre.invalid');
+        }
+
+        // Validar apellido
+        if (!contactData.apellido) {
+            fieldErrors.apellido = t('validation.apellido.required');
+        } else if (!this.isValidName(contactData.apellido)) {
+            fieldErrors.apellido = t('validation.apellido.invalid');
+        }
+
+        // Validar teléfonos (el primero es obligatorio)
+        const phones = ContactModel.getPhones(contactData);
+        if (phones.length === 0 || !phones[0].numero) {
+            fieldErrors['telefonos.0'] = t('validation.phone.required');
+        }
+        
+        phones.forEach((phone, index) => {
+            if (!phone.numero || this.isValidPhone(phone.numero, phone.pais || contactData.pais)) return;
+            
+            const code = PhoneNumber.COUNTRIES[phone.pais || contactData.pais] ? phone.pais || contactData.pais : DEFAULT_PHONE_COUNTRY;
+            const params = { number: index + 1, country: PhoneNumber.countryName(code), example: PhoneNumber.COUNTRIES[code].example };
+            fieldErrors[`telefonos.${index}`] = t(index === 0 ? 'validation.phone.invalid' : 'validation.phone.invalidN', params);
+        });
+
+        // Validar correos
+        (contactData.emails || []).forEach((email, index) => {
+            if (!this.isValidEmail(email)) {
+                fieldErrors[`emails.${index}`] = t('validation.email.invalid', { email });
+            }
+        });
+
+        // Validar dirección, notas y cumpleaños
+        if ((contactData.direccion || '').length > this.MAX_LENGTHS.direccion) {
+            fieldErrors.direccion = t('validation.direccion.tooLong', { max: this.MAX_LENGTHS.direccion });
+        }
+        if ((contactData.notas || '').length > this.MAX_LENGTHS.notas) {
+            fieldErrors.notas = t('validation.notas.tooLong', { max: this.MAX_LENGTHS.notas });
+        }
+        if (contactData.cumpleanos && !this.isValidBirthday(contactData.cumpleanos)) {
+            fieldErrors.cumpleanos = t('validation.cumpleanos.invalid');
+        }
+
+        // Validar etiquetas
+        const etiquetas = contactData.etiquetas || [];
+        if (etiquetas.length > ContactTags.MAX_TAGS) {
+            fieldErrors.etiquetas = t('validation.etiquetas.tooMany', { max: ContactTags.MAX_TAGS });
+        } else if (etiquetas.some(tag => tag.length > ContactTags.MAX_LENGTH)) {
+            fieldErrors.etiquetas = t('validation.etiquetas.tooLong', { max: ContactTags.MAX_LENGTH });
+        }
+
+        const errors = Object.values(fieldErrors);
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            fieldErrors: fieldErrors
+        };
+    }
+}
@@ -0,0 +1,458 @@
+/**
+ * LISTA VIRTUAL
+ * Cuadrícula que solo mantiene en el DOM las filas visibles (más un margen)
+ * para que agendas de miles de contactos se pinten y desplacen sin bloqueos
+ */
+
+import { SafeHtml } from './utils.js';
+
+/**
+ * CUADRÍCULA VIRTUAL
+ * Los elementos son { key, header, contactId, group }; renderItem devuelve su
+ * marcado ya escapado. Las alturas de las filas se miden al pintarlas y las que
+ * nunca se han pintado se estiman. El espacio de las filas que no están en el
+ * DOM se reserva con el padding del contenedor.
+ *
+ * Las tarjetas forman un solo punto de Tab (tabindex itinerante): las flechas,
+ * Inicio y Fin mueven el foco entre ellas e Intro llama a onActivate.
+ */
+export class VirtualGrid {
+    // Píxeles que se pintan por encima y por debajo de la zona visible
+    static OVERSCAN = 400;
+
+    // Tarjetas del primer pintado que entran con animación escalonada
+    static MAX_ANIMATED = 12;
+    static ANIMATION_STEP = 0.05;
+
+    // Deben coincidir con .contacts-grid en styles.css
+    static MIN_COLUMN_WIDTH = 260;
+    static DEFAULT_GAP = 16;
+
+    static ESTIMATED_CARD_HEIGHT = 190;
+    static ESTIMATED_HEADER_HEIGHT = 34;
+
+    constructor(grid, renderItem = () => '', { onActivate = () => {} } = {}) {
+        this.grid = grid;
+        this.renderItem = renderItem;
+        this.onActivate = onActivate;
+        this.items = [];
+        this.rows = [];
+        this.columns = 1;
+        // Alturas medidas por fila; la clave incluye las columnas porque cambian las filas
+        this.heights = new Map();
+        this.cardEstimate = VirtualGrid.ESTIMATED_CARD_HEIGHT;
+        // Marcado de cada elemento de la lista actual y del pintado en el DOM
+        this.markup = new Map();
+        this.rendered = new WeakMap();
+        this.frame = null;
+        // Tarjetas en orden y su fila y columna, para moverse con el teclado
+        this.cards = [];
+        this.positions = new Map();
+        // Tarjeta que entra en el orden de Tab
+        this.activeKey = null;
+
+        this.onScroll = () => this.scheduleUpdate();
+        grid.addEventListener('scroll', this.onScroll, { passive: true });
+
+        this.onKeydown = (e) => this.handleKeydown(e);
+        this.onFocusin = (e) => {
+            if (this.isCard(e.target)) this.setActive(e.target.dataset.key);
+        };
+        grid.addEventListener('keydown', this.onKeydown);
+        grid.addEventListener('focusin', this.onFocusin);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                if (this.getColumns() !== this.columns) {
+                    this.layout();
+                }
+                this.scheduleUpdate();
+            });
+            this.resizeObserver.observe(grid);
+        }
+    }
+
+    /**
+     * Sustituye la lista. changedIds resalta las tarjetas modificadas y
+     * animate escalona la entrada de las primeras tarjetas.
+     */
+    setItems(items, { changedIds = new Set(), animate = false } = {}) {
+        this.items = items;
+        this.markup = new Map();
+        this.layout();
+        this.update({ changedIds, animate });
+    }
+
+    /**
+     * Agrupa los elementos en filas: cada cabecera ocupa una fila entera y
+     * las tarjetas se reparten en filas del número de columnas disponible
+     */
+    layout() {
+        this.columns = this.getColumns();
+        this.rows = [];
+        this.cards = [];
+        this.positions = new Map();
+        let row = null;
+        let group = null;
+        let cardRow = -1;
+
+        this.items.forEach(item => {
+            if (item.header) {
+                group = item;
+                this.rows.push({ key: `${this.columns}|${item.key}`, items: [item], header: true, group: null });
+                row = null;
+                return;
+            }
+
+            if (!row || row.items.length === this.columns) {
+                row = { key: `${this.columns}|${item.key}`, items: [], header: false, group };
+                this.rows.push(row);
+                cardRow++;
+            }
+            this.positions.set(item.key, { item, index: this.cards.length, row: cardRow, column: row.items.length });
+            this.cards.push(item);
+            row.items.push(item);
+        });
+    }
+
+    /**
+     * Columnas que caben con el ancho mínimo de la cuadrícula en CSS
+     */
+    getColumns() {
+        const gap = this.getGap();
+        const width = this.grid.clientWidth;
+        if (!width) return 1;
+
+        return Math.max(1, Math.floor((width + gap) / (VirtualGrid.MIN_COLUMN_WIDTH + gap)));
+    }
+
+    /**
+     * Separación entre filas de la cuadrícula
+     */
+    getGap() {
+        const gap = parseFloat(getComputedStyle(this.grid).rowGap);
+        return Number.isFinite(gap) ? gap : VirtualGrid.DEFAULT_GAP;
+    }
+
+    /**
+     * Altura medida de una fila o, si no se ha pintado nunca, la estimada
+     */
+    getRowHeight(row) {
+        if (this.heights.has(row.key)) return this.heights.get(row.key);
+        return row.header ? VirtualGrid.ESTIMATED_HEADER_HEIGHT : this.cardEstimate;
+    }
+
+    /**
+     * Repinta en el siguiente fotograma; varios avisos seguidos se agrupan
+     */
+    scheduleUpdate() {
+        if (this.frame !== null) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (this.grid.isConnected) this.update();
+        });
+    }
+
+    /**
+     * Pinta las filas que caen en la zona visible y reserva el espacio del resto
+     */
+    update({ changedIds = new Set(), animate = false } = {}) {
+        const gap = this.getGap();
+        const viewport = this.grid.clientHeight || window.innerHeight;
+        const from = this.grid.scrollTop - VirtualGrid.OVERSCAN;
+        const to = this.grid.scrollTop + viewport + VirtualGrid.OVERSCAN;
+
+        const tops = [];
+        let total = 0;
+        let start = -1;
+        let end = -1;
+
+        this.rows.forEach((row, index) => {
+            const height = this.getRowHeight(row);
+            tops.push(total);
+
+            if (total + height >= from && total <= to) {
+                if (start === -1) start = index;
+                end = index;
+            }
+            total += height + gap;
+        });
+        total = Math.max(0, total - gap);
+
+        if (start === -1) {
+            this.setPadding(0, total);
+            this.patch([], { changedIds, animate });
+            return;
+        }
+
+        let paddingTop = tops[start];
+        const visible = this.rows.slice(start, end + 1).flatMap(row => row.items);
+
+        // La cabecera del grupo en pantalla se mantiene para que siga fija arriba
+        const first = this.rows[start];
+        if (!first.header && first.group) {
+            const headerRow = this.rows.find(row => row.items[0] === first.group);
+            visible.unshift(first.group);
+            paddingTop = Math.max(0, paddingTop - this.getRowHeight(headerRow) - gap);
+        }
+
+        const bottom = tops[end] + this.getRowHeight(this.rows[end]);
+        this.setPadding(paddingTop, total - bottom);
+        this.patch(visible, { changedIds, animate });
+
+        // Si las alturas medidas difieren de las estimadas, se recoloca una vez
+        if (this.measure(start, end)) {
+            this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Reserva el alto de las filas que no están en el DOM
+     */
+    setPadding(top, bottom) {
+        this.grid.style.paddingTop = `${top}px`;
+        this.grid.style.paddingBottom = `${Math.max(0, bottom)}px`;
+    }
+
+    /**
+     * Guarda la altura de las filas pintadas. Devuelve true si alguna cambió.
+     */
+    measure(start, end) {
+        const elements = new Map([...this.grid.children].map(element => [element.dataset.key, element]));
+        let changed = false;
+
+        this.rows.slice(start, end + 1).forEach(row => {
+            const height = Math.max(0, ...row.items.map(item => {
+                const element = elements.get(item.key);
+                return element ? element.offsetHeight : 0;
+            }));
+
+            // Sin diseño (p. ej. fuera de pantalla) no hay medida útil
+            if (height === 0 || this.heights.get(row.key) === height) return;
+
+            this.heights.set(row.key, height);
+            changed = true;
+        });
+
+        if (changed) {
+            const cards = [...this.heights.entries()]
+                .filter(([key]) => !key.includes('|group:'))
+                .map(([, height]) => height);
+            this.cardEstimate = Math.round(cards.reduce((sum, height) => sum + height, 0) / cards.length) || this.cardEstimate;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Marcado de un elemento, generado una sola vez por lista
+     */
+    getMarkup(item) {
+        if (!this.markup.has(item.key)) {
+            this.markup.set(item.key, String(this.renderItem(item)).trim());
+        }
+        return this.markup.get(item.key);
+    }
+
+    /**
+     * Actualiza el DOM en el sitio: conserva los elementos que no cambiaron,
+     * reemplaza los modificados, inserta los nuevos y quita los que sobran
+     */
+    patch(items, { changedIds = new Set(), animate = false } = {}) {
+        const existing = new Map([...this.grid.children].map(element => [element.dataset.key, element]));
+        const template = document.createElement('template');
+        let previous = null;
+        let animated = 0;
+        let refocus = null;
+
+        items.forEach(item => {
+            const markup = this.getMarkup(item);
+            let element = existing.get(item.key);
+            existing.delete(item.key);
+
+            if (!element || this.rendered.get(element) !== markup) {
+                SafeHtml.render(template, SafeHtml.trusted(markup));
+                const fresh = template.content.firstElementChild;
+
+                if (element) {
+                    // Si se sustituye la tarjeta con el foco, el foco pasa a la nueva
+                    if (element.contains(document.activeElement)) {
+                        const action = document.activeElement === element ? null : document.activeElement.dataset.action;
+                        refocus = { element: fresh, action };
+                    }
+                    element.remove();
+                }
+
+                if (!item.header) {
+                    if (animate && animated < VirtualGrid.MAX_ANIMATED) {
+                        // Entrada escalonada limitada a las primeras tarjetas
+                        fresh.style.animationDelay = `${animated++ * VirtualGrid.ANIMATION_STEP}s`;
+                    } else {
+                        // Solo se resaltan los datos nuevos o modificados; lo que solo
+                        // se vuelve a pintar (búsqueda, filtros, desplazamiento) aparece sin animación
+                        fresh.classList.add(changedIds.has(item.contactId) ? 'card-updated' : 'no-animation');
+                    }
+                }
+
+                this.rendered.set(fresh, markup);
+                element = fresh;
+            }
+
+            const expected = previous ? previous.nextElementSibling : this.grid.firstElementChild;
+            if (expected !== element) {
+                this.grid.insertBefore(element, expected);
+            }
+            previous = element;
+        });
+
+        existing.forEach(element => element.remove());
+        this.applyTabIndex();
+
+        if (refocus) {
+            const target = refocus.action ? refocus.element.querySelector(`[data-action="${refocus.action}"]`) : null;
+            (target || refocus.element).focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Elemento pintado de una clave, o null si está fuera del DOM
+     */
+    getElement(key) {
+        return [...this.grid.children].find(element => element.dataset.key === key) || null;
+    }
+
+    /**
+     * Indica si el elemento es una tarjeta de la lista (no una cabecera ni un botón)
+     */
+    isCard(element) {
+        return element.parentElement === this.grid && this.positions.has(element.dataset.key);
+    }
+
+    /**
+     * Cambia la tarjeta que entra en el orden de Tab
+     */
+    setActive(key) {
+        if (this.activeKey === key) return;
+
+        this.activeKey = key;
+        this.applyTabIndex();
+    }
+
+    /**
+     * Solo una tarjeta pintada tiene tabindex 0: la activa o, si se desplazó
+     * fuera del DOM o ya no está en la lista, la primera en pantalla
+     */
+    applyTabIndex() {
+        const cards = [...this.grid.children].filter(element => this.positions.has(element.dataset.key));
+        if (!this.positions.has(this.activeKey)) {
+            this.activeKey = this.cards.length > 0 ? this.cards[0].key : null;
+        }
+
+        const active = cards.find(element => element.dataset.key === this.activeKey) || cards[0];
+        cards.forEach(element => {
+            element.tabIndex = element === active ? 0 : -1;
+        });
+    }
+
+    /**
+     * Flechas, Inicio y Fin mueven el foco entre tarjetas; Intro las abre.
+     * Dentro de los botones de una tarjeta las teclas conservan su uso normal.
+     */
+    handleKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || !this.isCard(e.target)) return;
+
+        const { item } = this.positions.get(e.target.dataset.key);
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.onActivate(item, e.target);
+            return;
+        }
+
+        const target = this.getNeighbour(item.key, e.key);
+        if (!target) return;
+
+        e.preventDefault();
+        this.focusKey(target.key);
+    }
+
+    /**
+     * Tarjeta a la que lleva una tecla de navegación desde la indicada.
+     * Arriba y abajo saltan las cabeceras y conservan la columna si cabe.
+     */
+    getNeighbour(key, direction) {
+        const { index, row, column } = this.positions.get(key);
+
+        switch (direction) {
+            case 'ArrowLeft':
+                return this.cards[index - 1] || null;
+            case 'ArrowRight':
+                return this.cards[index + 1] || null;
+            case 'Home':
+                return this.cards[0];
+            case 'End':
+                return this.cards[this.cards.length - 1];
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const targetRow = row + (direction === 'ArrowUp' ? -1 : 1);
+                const candidates = this.cards.filter(card => this.positions.get(card.key).row === targetRow);
+                return candidates[Math.min(column, candidates.length - 1)] || null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Lleva el foco a una tarjeta; si no está pintada, primero se desplaza hasta ella
+     */
+    focusKey(key) {
+        if (!this.positions.has(key)) return false;
+
+        if (!this.getElement(key)) {
+            this.scrollToKey(key, 'auto');
+        }
+
+        const element = this.getElement(key);
+        if (!element) return false;
+
+        this.setActive(key);
+        element.focus();
+        return true;
+    }
+
+    /**
+     * Desplaza la lista hasta el elemento con la clave indicada
+     */
+    scrollToKey(key, behavior = 'smooth') {
+        const gap = this.getGap();
+        let top = 0;
+
+        for (const row of this.rows) {
+            if (row.items.some(item => item.key === key)) {
+                if (typeof this.grid.scrollTo === 'function') {
+                    this.grid.scrollTo({ top, behavior });
+                } else {
+                    this.grid.scrollTop = top;
+                }
+                this.update();
+                return true;
+            }
+            top += this.getRowHeight(row) + gap;
+        }
+
+        return false;
+    }
+
+    /**
+     * Deja de escuchar el contenedor cuando se sustituye la lista
+     */
+    destroy() {
+        this.grid.removeEventListener('scroll', this.onScroll);
+        this.grid.removeEventListener('keydown', this.onKeydown);
+        this.grid.removeEventListener('focusin', this.onFocusin);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+}
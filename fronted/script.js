@@ -0,0 +1,99 @@
+/**
+ * AGENDA WEB - GESTOR DE CONTACTOS
+ * Punto de entrada: la página lo carga con type="module". Las clases viven
+ * en los módulos de js/ y se reexportan aquí para las pruebas.
+ */
+
+import { Utils } from './js/utils.js';
+import { MessageHandler, bindDom, dom } from './js/ui.js';
+import { Agenda } from './js/agenda.js';
+import { I18n, t } from './js/i18n.js';
+import { ServiceWorkerManager } from './js/pwa.js';
+
+/**
+ * INICIALIZACIÓN DE LA APLICACIÓN
+ */
+/**
+ * Localiza los elementos del DOM y arranca la agenda. Devuelve la instancia,
+ * o null si falta el HTML necesario
+ */
+function initializeApp() {
+    // Inicializar elementos del DOM
+    bindDom();
+
+    // Idioma guardado o del navegador, antes de pintar nada
+    I18n.setLocale(I18n.detectLocale(), { save: false });
+    I18n.translatePage();
+    
+    // Verificar que existan los elementos necesarios
+    if (!dom.contactForm || !dom.contactsContainer) {
+        console.error('❌ Elementos del DOM no encontrados. Verifica el HTML.');
+        return null;
+    }
+
+    // Inicializar la aplicación
+    const agenda = new Agenda();
+    
+    // Hacer la instancia global para debugging
+    window.agenda = agenda;
+    
+    // Agregar funcionalidad de búsqueda si existe el input
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        const debouncedSearch = Utils.debounce((query) => {
+            agenda.searchContacts(query);
+        }, 300);
+
+        searchInput.addEventListener('input', (e) => {
+            debouncedSearch(e.target.value);
+        });
+    }
+    
+    // Caché sin conexión y aviso de versiones nuevas; la lista desfasada se recarga
+    ServiceWorkerManager.register({ onContactsUpdated: () => agenda.pollContacts() });
+
+    console.log('📱 Agenda Web inicializada correctamente');
+    return agenda;
+}
+
+document.addEventListener('DOMContentLoaded', () => initializeApp());
+
+// Manejo de errores globales
+window.addEventListener('error', (event) => {
+    console.error('Error global capturado:', event.error);
+    MessageHandler.showError(t('app.unexpectedError'));
+});
+
+// Manejo de errores de promesas no capturadas
+window.addEventListener('unhandledrejection', (event) => {
+    console.error('Promesa rechazada no manejada:', event.reason);
+    MessageHandler.showError(t('app.connectionError'));
+});
+
+// Manejo de cambios de conectividad
+window.addEventListener('online', () => {
+    MessageHandler.showSuccess(t('offline.restored'));
+    if (window.agenda) {
+        window.agenda.syncOutbox();
+    }
+});
+
+window.addEventListener('offline', () => {
+    MessageHandler.showWarning(t('offline.title'));
+});
+
+// Módulos que importan las pruebas a través de este punto de entrada
+export * from './js/config.js';
+export * from './js/i18n.js';
+export * from './js/utils.js';
+export * from './js/validation.js';
+export * from './js/contacts.js';
+export * from './js/api.js';
+export * from './js/files.js';
+export * from './js/state.js';
+export * from './js/router.js';
+export * from './js/virtual-grid.js';
+export * from './js/pwa.js';
+export * from './js/ui.js';
+export * from './js/agenda.js';
+export { initializeApp };
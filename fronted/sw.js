@@ -0,0 +1,182 @@
+/**
+ * SERVICE WORKER
+ * Guarda la aplicación para abrirla sin conexión y sirve la última lista de
+ * contactos conocida mientras pide la nueva (stale-while-revalidate)
+ */
+
+// Cambiarla al publicar: las pestañas abiertas ofrecen actualizar a la versión nueva
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `agenda-shell-${CACHE_VERSION}`;
+// Las respuestas de la API no dependen de la versión y se conservan al actualizar
+const DATA_CACHE = 'agenda-data';
+
+// Escrituras vistas por recurso: una renovación que empezó antes de una
+// escritura no puede volver a guardar la lista anterior
+const writeGenerations = new Map();
+
+// Rutas relativas a este archivo; deben cubrir todos los módulos que importa script.js
+const APP_SHELL = [
+    './',
+    'index.html',
+    'script.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/agenda.js',
+    'js/api.js',
+    'js/auth.js',
+    'js/config.js',
+    'js/contacts.js',
+    'js/files.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/pwa.js',
+    'js/router.js',
+    'js/state.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/validation.js',
+    'js/virtual-grid.js'
+];
+
+self.addEventListener('install', (event) => {
+    // No se activa solo: la página pregunta antes de cambiar de versión
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('agenda-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Con sesión cada persona ve su lista: no se guarda para que no la vea otra
+    if (request.headers.has('Authorization')) return;
+
+    if (isApiRequest(request)) {
+        event.respondWith(request.method === 'GET' ? staleWhileRevalidate(event) : writeThrough(request));
+        return;
+    }
+
+    if (request.method === 'GET' && new URL(request.url).origin === self.location.origin) {
+        event.respondWith(fromShell(request));
+    }
+});
+
+/**
+ * Las peticiones de HttpClient piden JSON; los archivos de la aplicación no
+ */
+function isApiRequest(request) {
+    return (request.headers.get('Accept') || '').includes('application/json');
+}
+
+/**
+ * Archivos de la aplicación: primero la caché de la versión instalada.
+ * Sin conexión, cualquier navegación abre la página principal.
+ */
+async function fromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const navigation = request.mode === 'navigate';
+    const cached = await cache.match(request, { ignoreSearch: navigation });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (navigation) return cache.match('./');
+        throw error;
+    }
+}
+
+/**
+ * Clave de un recurso de la API: la URL sin parámetros
+ */
+function resourceKey(url) {
+    const target = new URL(url);
+    return `${target.origin}${target.pathname}`;
+}
+
+/**
+ * Envía una escritura a la red. La lista guardada deja de valer al empezar
+ * y otra vez al responder el servidor, por si una lectura en curso la
+ * volvió a guardar mientras tanto.
+ */
+async function writeThrough(request) {
+    const key = resourceKey(request.url);
+    writeGenerations.set(key, (writeGenerations.get(key) || 0) + 1);
+    await forgetList(request.url);
+
+    try {
+        return await fetch(request);
+    } finally {
+        writeGenerations.set(key, writeGenerations.get(key) + 1);
+        await forgetList(request.url);
+    }
+}
+
+/**
+ * Devuelve la última respuesta guardada al momento y la renueva en segundo
+ * plano. Si la nueva es distinta se avisa a la página para que recargue.
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const key = resourceKey(request.url);
+    const generation = writeGenerations.get(key) || 0;
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+    const previous = cached ? cached.clone() : null;
+
+    const network = fetch(request).then(async (response) => {
+        if (!response.ok) return response;
+
+        const changed = previous !== null && await previous.text() !== await response.clone().text();
+        // Hubo una escritura mientras tanto: esta lista puede ser la anterior
+        if ((writeGenerations.get(key) || 0) !== generation) return response;
+        await cache.put(request, response.clone());
+
+        if (changed) {
+            await notifyClients({ type: 'contacts-updated', url: request.url });
+        }
+        return response;
+    });
+
+    if (!cached) return network;
+
+    // Sin conexión la respuesta guardada basta; el fallo no llega a la página
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+/**
+ * Borra las listas guardadas del mismo recurso (la URL sin parámetros)
+ */
+async function forgetList(url) {
+    const key = resourceKey(url);
+    const cache = await caches.open(DATA_CACHE);
+    const requests = await cache.keys();
+
+    await Promise.all(requests
+        .filter(request => resourceKey(request.url) === key)
+        .map(request => cache.delete(request)));
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,515 @@
+/**
+ * SERVIDOR DE PRUEBA DE LA API DE LA AGENDA
+ * Implementa el mismo contrato que agenda.php (GET lista, POST contacto en
+ * JSON, PUT y DELETE con ?id=) guardando los datos en un archivo JSON.
+ * No tiene dependencias: basta con `node mock-server/server.js`. También
+ * sirve la aplicación en /app/ para no depender de otro servidor estático.
+ *
+ * Interruptores (argumento --nombre=valor o variable de entorno):
+ *   --port          MOCK_PORT           Puerto (8080)
+ *   --data          MOCK_DATA           Archivo de datos (mock-server/db.json)
+ *   --latency       MOCK_LATENCY        Retraso de cada respuesta en ms (0)
+ *   --error-rate    MOCK_ERROR_RATE     Probabilidad de responder 500 (0–1)
+ *   --malformed-rate MOCK_MALFORMED_RATE Probabilidad de respuesta mal formada (0–1)
+ *   --users         MOCK_USERS          Usuarios de prueba (mock-server/users.json)
+ *   --token-ttl     MOCK_TOKEN_TTL      Duración de las sesiones en segundos (3600)
+ *   --require-auth  MOCK_REQUIRE_AUTH   Rechaza las peticiones sin sesión (0)
+ *
+ * Sesiones: POST /auth/login con { usuario, password } devuelve
+ * { token, user, expiresAt } y POST /auth/logout revoca el token. Las
+ * peticiones con "Authorization: Bearer <token>" usan la agenda de su usuario
+ * (en la carpeta users/ junto al archivo de datos); sin token, la compartida.
+ *
+ * Cada petición puede forzar un comportamiento con parámetros de consulta:
+ *   _latency=ms, _status=código, _malformed=json|shape|records
+ *
+ * Rutas de control para pruebas automáticas:
+ *   GET/POST /__config  Lee o cambia los interruptores en caliente
+ *   POST /__reset       Restaura los datos iniciales
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SEED_FILE = path.join(__dirname, 'seed.json');
+const USERS_FILE = path.join(__dirname, 'users.json');
+const APP_DIR = path.join(__dirname, '..', 'fronted');
+const MAX_BODY_BYTES = 1024 * 1024;
+const MALFORMED_MODES = ['json', 'shape', 'records'];
+const REQUIRED_FIELDS = ['nombre', 'apellido', 'telefono'];
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization',
+    'Access-Control-Max-Age': '600'
+};
+
+/**
+ * Lee la configuración de los argumentos y del entorno
+ */
+export function readConfig(argv = process.argv.slice(2), env = process.env) {
+    const args = {};
+    argv.forEach(arg => {
+        const match = /^--([\w-]+)=(.*)$/.exec(arg);
+        if (match) args[match[1]] = match[2];
+    });
+
+    const option = (name, envName, fallback) => {
+        const value = args[name] !== undefined ? args[name] : env[envName];
+        return value !== undefined && value !== '' ? value : fallback;
+    };
+
+    return {
+        port: Number(option('port', 'MOCK_PORT', 8080)),
+        dataFile: path.resolve(option('data', 'MOCK_DATA', path.join(__dirname, 'db.json'))),
+        latency: Number(option('latency', 'MOCK_LATENCY', 0)),
+        errorRate: Number(option('error-rate', 'MOCK_ERROR_RATE', 0)),
+        malformedRate: Number(option('malformed-rate', 'MOCK_MALFORMED_RATE', 0)),
+        usersFile: path.resolve(option('users', 'MOCK_USERS', USERS_FILE)),
+        tokenTtl: Number(option('token-ttl', 'MOCK_TOKEN_TTL', 3600)),
+        requireAuth: ['1', 'true'].includes(String(option('require-auth', 'MOCK_REQUIRE_AUTH', '0')))
+    };
+}
+
+/**
+ * Almacén de contactos en un archivo JSON. Sin seedFile empieza vacío.
+ */
+export class ContactStore {
+    constructor(file, seedFile = SEED_FILE) {
+        this.file = file;
+        this.seedFile = seedFile;
+        this.contacts = this.load();
+        this.nextId = this.firstFreeId();
+    }
+
+    /**
+     * El mayor id numérico más uno: los ids borrados no se reutilizan
+     */
+    firstFreeId() {
+        return this.contacts.reduce((max, contact) => Math.max(max, Number(contact.id) || 0), 0) + 1;
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            if (Array.isArray(data)) return data;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`No se pudo leer ${this.file}; se usan los datos iniciales:`, error.message);
+            }
+        }
+        return this.seed();
+    }
+
+    seed() {
+        const contacts = this.seedFile ? JSON.parse(fs.readFileSync(this.seedFile, 'utf8')) : [];
+        this.save(contacts);
+        return contacts;
+    }
+
+    reset() {
+        this.contacts = this.seed();
+        this.nextId = this.firstFreeId();
+    }
+
+    /**
+     * Escribe en un temporal y renombra para no dejar el archivo a medias
+     */
+    save(contacts = this.contacts) {
+        const temp = `${this.file}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temp, JSON.stringify(contacts, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    find(id) {
+        return this.contacts.find(contact => String(contact.id) === String(id));
+    }
+
+    create(data) {
+        const contact = { ...data, id: String(this.nextId++), createdAt: Date.now() };
+        this.contacts.push(contact);
+        this.save();
+        return contact;
+    }
+
+    update(id, data) {
+        const contact = this.find(id);
+        if (!contact) return null;
+
+        Object.assign(contact, data, { id: contact.id, createdAt: contact.createdAt });
+        this.save();
+        return contact;
+    }
+
+    remove(id) {
+        const index = this.contacts.findIndex(contact => String(contact.id) === String(id));
+        if (index === -1) return false;
+
+        this.contacts.splice(index, 1);
+        this.save();
+        return true;
+    }
+}
+
+/**
+ * Usuarios de prueba y sesiones con token, solo en memoria
+ */
+export class SessionStore {
+    constructor(usersFile, ttlSeconds) {
+        this.users = this.loadUsers(usersFile);
+        this.ttl = ttlSeconds;
+        this.tokens = new Map();
+    }
+
+    loadUsers(file) {
+        try {
+            const users = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (Array.isArray(users)) return users;
+        } catch (error) {
+            console.warn(`No se pudieron leer los usuarios de ${file}:`, error.message);
+        }
+        return [];
+    }
+
+    /**
+     * Abre una sesión; null si el usuario o la contraseña no coinciden
+     */
+    login(usuario, password) {
+        const id = String(usuario || '').trim().toLowerCase();
+        const user = this.users.find(entry => entry.id === id && entry.password === password);
+        if (!user) return null;
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = Date.now() + this.ttl * 1000;
+        this.tokens.set(token, { userId: user.id, expiresAt });
+
+        return { token, user: { id: user.id, name: user.name }, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    logout(token) {
+        return this.tokens.delete(token);
+    }
+
+    /**
+     * Usuario de un token vigente; los caducados se olvidan
+     */
+    userFor(token) {
+        const session = this.tokens.get(token);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now()) {
+            this.tokens.delete(token);
+            return null;
+        }
+        return session.userId;
+    }
+}
+
+/**
+ * Token de la cabecera "Authorization: Bearer <token>"
+ */
+function readToken(request) {
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Comprueba los campos obligatorios del contrato original
+ */
+function validateContact(data, partial = false) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'El cuerpo debe ser un objeto JSON';
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => {
+        if (partial && data[field] === undefined) return false;
+        return typeof data[field] !== 'string' || !data[field].trim();
+    });
+
+    return missing.length > 0 ? `Faltan campos obligatorios: ${missing.join(', ')}` : '';
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Cuerpo demasiado grande'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function parseJson(text) {
+    if (!text.trim()) return {};
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw Object.assign(new Error('El cuerpo no es JSON válido'), { status: 400 });
+    }
+}
+
+function send(response, status, body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(text);
+}
+
+/**
+ * Sirve un archivo de la aplicación; no permite salir de su carpeta
+ */
+function serveStatic(response, pathname) {
+    const relative = decodeURIComponent(pathname.slice('/app'.length)) || '/';
+    const file = path.join(APP_DIR, relative === '/' ? 'index.html' : relative);
+
+    if (!file.startsWith(APP_DIR + path.sep)) {
+        send(response, 403, { error: 'Ruta no permitida' });
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            send(response, 404, { error: 'Archivo no encontrado' });
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+/**
+ * Versiones rotas de una lista para probar la validación del cliente
+ */
+function malformedBody(mode, contacts) {
+    if (mode === 'shape') {
+        return JSON.stringify({ contactos: contacts });
+    }
+    if (mode === 'records') {
+        return JSON.stringify([
+            ...contacts,
+            null,
+            { id: 'x1', nombre: 'Sin teléfono', apellido: 'Prueba' },
+            { id: 'x2', nombre: 42, apellido: ['?'], telefono: { numero: 1 } },
+            { id: 'x3', nombre: '<img src=x onerror=alert(1)>', apellido: 'XSS', telefono: 8095550000 }
+        ]);
+    }
+    return '[{"nombre": "Cortado", "apellido": ';
+}
+
+export function createServer(options = {}) {
+    const config = { ...readConfig([], {}), ...options };
+    const store = new ContactStore(config.dataFile);
+    const sessions = new SessionStore(config.usersFile, config.tokenTtl);
+
+    // La agenda de cada usuario empieza vacía y se guarda en su propio archivo
+    const usersDir = path.join(path.dirname(config.dataFile), 'users');
+    const userStores = new Map();
+    const storeFor = (userId) => {
+        if (!userStores.has(userId)) {
+            userStores.set(userId, new ContactStore(path.join(usersDir, `${userId}.json`), null));
+        }
+        return userStores.get(userId);
+    };
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const query = url.searchParams;
+        const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+        try {
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, CORS_HEADERS);
+                response.end();
+                return;
+            }
+
+            // Rutas de control: sin latencia ni errores simulados
+            if (pathname === '/__config') {
+                if (request.method === 'POST') {
+                    const changes = parseJson(await readBody(request));
+                    ['latency', 'errorRate', 'malformedRate', 'tokenTtl'].forEach(key => {
+                        if (changes[key] !== undefined) config[key] = Number(changes[key]);
+                    });
+                    if (changes.requireAuth !== undefined) config.requireAuth = Boolean(changes.requireAuth);
+                    // Solo afecta a las sesiones que se abran a partir de ahora
+                    sessions.ttl = config.tokenTtl;
+                }
+                send(response, 200, {
+                    latency: config.latency,
+                    errorRate: config.errorRate,
+                    malformedRate: config.malformedRate,
+                    tokenTtl: config.tokenTtl,
+                    requireAuth: config.requireAuth
+                });
+                return;
+            }
+
+            if (pathname === '/__reset' && request.method === 'POST') {
+                store.reset();
+                sessions.users.forEach(user => storeFor(user.id).reset());
+                send(response, 200, { ok: true, count: store.contacts.length });
+                return;
+            }
+
+            if (request.method === 'GET' && (pathname === '/app' || pathname.startsWith('/app/'))) {
+                if (pathname === '/app' && !request.url.startsWith('/app/')) {
+                    response.writeHead(301, { Location: '/app/' });
+                    response.end();
+                    return;
+                }
+                serveStatic(response, pathname === '/app' ? '/app/' : url.pathname);
+                return;
+            }
+
+            if (pathname.endsWith('/auth/login') && request.method === 'POST') {
+                const { usuario, password } = parseJson(await readBody(request));
+                const session = sessions.login(usuario, password);
+                send(response, session ? 200 : 401, session || { error: 'Usuario o contraseña incorrectos' });
+                return;
+            }
+
+            if (pathname.endsWith('/auth/logout') && request.method === 'POST') {
+                const token = readToken(request);
+                if (token) sessions.logout(token);
+                send(response, 200, { ok: true });
+                return;
+            }
+
+            if (pathname !== '/' && !pathname.endsWith('/agenda.php')) {
+                send(response, 404, { error: 'Ruta no encontrada' });
+                return;
+            }
+
+            // Con token, la agenda de su usuario; sin él, la compartida
+            const token = readToken(request);
+            let agenda = store;
+            if (token) {
+                const userId = sessions.userFor(token);
+                if (!userId) {
+                    send(response, 401, { error: 'La sesión ha caducado o no es válida' });
+                    return;
+                }
+                agenda = storeFor(userId);
+            } else if (config.requireAuth) {
+                send(response, 401, { error: 'Hace falta iniciar sesión' });
+                return;
+            }
+
+            const latency = query.has('_latency') ? Number(query.get('_latency')) : config.latency;
+            if (latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, latency));
+            }
+
+            const forcedStatus = Number(query.get('_status'));
+            if (forcedStatus >= 400) {
+                send(response, forcedStatus, { error: `Error simulado (${forcedStatus})` });
+                return;
+            }
+            if (!query.has('_status') && Math.random() < config.errorRate) {
+                send(response, 500, { error: 'Error simulado del servidor' });
+                return;
+            }
+
+            const id = query.get('id');
+
+            if (request.method === 'GET') {
+                const forced = query.get('_malformed');
+                if (MALFORMED_MODES.includes(forced) || (!forced && Math.random() < config.malformedRate)) {
+                    const mode = MALFORMED_MODES.includes(forced)
+                        ? forced
+                        : MALFORMED_MODES[Math.floor(Math.random() * MALFORMED_MODES.length)];
+                    send(response, 200, malformedBody(mode, agenda.contacts));
+                    return;
+                }
+
+                if (id !== null) {
+                    const contact = agenda.find(id);
+                    send(response, contact ? 200 : 404, contact || { error: 'Contacto no encontrado' });
+                    return;
+                }
+
+                send(response, 200, agenda.contacts);
+                return;
+            }
+
+            if (request.method === 'POST') {
+                const data = parseJson(await readBody(request));
+                const problem = validateContact(data);
+                if (problem) {
+                    send(response, 400, { error: problem });
+                    return;
+                }
+
+                send(response, 201, agenda.create(data));
+                return;
+            }
+
+            if (request.method === 'PUT') {
+                const data = parseJson(await readBody(request));
+                const targetId = id !== null ? id : data.id;
+                const problem = validateContact(data, true);
+                if (problem) {
+                    send(response, 400, { error: problem });
+                    return;
+                }
+
+                const contact = targetId !== undefined ? agenda.update(targetId, data) : null;
+                send(response, contact ? 200 : 404, contact || { error: 'Contacto no encontrado' });
+                return;
+            }
+
+            if (request.method === 'DELETE') {
+                const data = parseJson(await readBody(request));
+                const targetId = id !== null ? id : data.id;
+                const removed = targetId !== undefined && agenda.remove(targetId);
+                send(response, removed ? 200 : 404, removed ? { ok: true } : { error: 'Contacto no encontrado' });
+                return;
+            }
+
+            send(response, 405, { error: `Método ${request.method} no permitido` });
+        } catch (error) {
+            send(response, error.status || 500, { error: error.message });
+        }
+    });
+
+    server.store = store;
+    server.sessions = sessions;
+    server.config = config;
+    return server;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const config = readConfig();
+    const server = createServer(config);
+
+    server.listen(config.port, () => {
+        console.log(`📇 API de prueba en http://localhost:${config.port}/agenda.php`);
+        console.log(`   Aplicación: http://localhost:${config.port}/app/`);
+        console.log(`   Datos: ${config.dataFile}`);
+        console.log(`   Latencia: ${config.latency} ms · Errores: ${config.errorRate * 100}% · Mal formadas: ${config.malformedRate * 100}%`);
+        console.log(`   Sesiones: http://localhost:${config.port}/auth · ${server.sessions.users.length} usuarios de prueba${config.requireAuth ? ' · sesión obligatoria' : ''}`);
+    });
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createFakeApi, startApp } from './helpers.js';
+
+const CONTACTS = [
+    { id: '1', nombre: 'Ana', apellido: 'López', telefono: '8091234567' },
+    { id: '2', nombre: 'Bruno', apellido: 'Díaz', telefono: '8092234567' },
+    { id: '3', nombre: 'Carla', apellido: 'Gómez', telefono: '8093234567' }
+];
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+function press(target, key, options = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function cardByName(name) {
+    return [...document.querySelectorAll('.contact-card')].find(card => card.getAttribute('aria-label') === name);
+}
+
+describe('Mensajes accesibles', () => {
+    it('los mensajes se anuncian y los errores interrumpen', async () => {
+        const { app } = await startApp(createFakeApi(CONTACTS));
+        const container = document.getElementById('message-container');
+
+        expect(container.getAttribute('aria-live')).toBe('polite');
+
+        app.MessageHandler.showSuccess('Guardado');
+        expect(container.lastElementChild.getAttribute('role')).toBe('status');
+
+        app.MessageHandler.showError('Falló');
+        expect(container.lastElementChild.getAttribute('role')).toBe('alert');
+    });
+});
+
+describe('Errores del formulario por campo', () => {
+    it('muestra cada error bajo su campo y lleva el foco al primero', async () => {
+        const api = createFakeApi(CONTACTS);
+        await startApp(api);
+        const form = document.getElementById('contact-form');
+
+        form.elements.nombre.value = 'Ana';
+        form.elements.apellido.value = 'G';
+        form.querySelector('#telefono').value = '8095551234';
+        document.getElementById('add-email-btn').click();
+        const emails = form.querySelectorAll('input[name="email"]');
+        emails[1].value = 'no-es-correo';
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+        const apellido = form.elements.apellido;
+        const error = document.getElementById(apellido.getAttribute('aria-describedby'));
+        expect(apellido.getAttribute('aria-invalid')).toBe('true');
+        expect(error.textContent).toContain('El apellido debe contener solo letras');
+        expect(document.activeElement).toBe(apellido);
+
+        // El primer correo está vacío: el error del correo 0 es el de la segunda fila
+        expect(emails[1].getAttribute('aria-invalid')).toBe('true');
+        expect(document.getElementById('error-emails-0').textContent).toContain('no-es-correo');
+        expect(document.getElementById('extra-fields').open).toBe(true);
+        expect(api.requests.filter(request => request.method === 'POST')).toHaveLength(0);
+
+        // Al corregir un campo solo desaparece su error
+        apellido.value = 'García';
+        apellido.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(apellido.hasAttribute('aria-invalid')).toBe(false);
+        expect(document.getElementById('error-apellido')).toBeNull();
+        expect(document.getElementById('error-emails-0')).not.toBeNull();
+
+        form.reset();
+        expect(form.querySelectorAll('.field-error')).toHaveLength(0);
+    });
+});
+
+describe('Navegación con el teclado', () => {
+    it('las tarjetas tienen nombre y un solo punto de Tab', async () => {
+        await startApp(createFakeApi(CONTACTS));
+        const cards = [...document.querySelectorAll('.contact-card')];
+
+        expect(cards.map(card => card.tabIndex)).toEqual([0, -1, -1]);
+        expect(cards[0].querySelector('[data-action="call"]').getAttribute('aria-label')).toBe('Llamar a Ana López');
+        expect(document.querySelector('.group-header').getAttribute('role')).toBe('heading');
+    });
+
+    it('las flechas, Inicio y Fin mueven el foco entre tarjetas', async () => {
+        await startApp(createFakeApi(CONTACTS));
+        const first = cardByName('Ana López');
+        first.focus();
+
+        press(first, 'ArrowRight');
+        expect(document.activeElement).toBe(cardByName('Bruno Díaz'));
+        expect(cardByName('Bruno Díaz').tabIndex).toBe(0);
+        expect(first.tabIndex).toBe(-1);
+
+        // Sin diseño hay una columna: abajo es la tarjeta siguiente, saltando la cabecera
+        press(document.activeElement, 'ArrowDown');
+        expect(document.activeElement).toBe(cardByName('Carla Gómez'));
+
+        press(document.activeElement, 'Home');
+        expect(document.activeElement).toBe(first);
+
+        press(document.activeElement, 'End');
+        expect(document.activeElement).toBe(cardByName('Carla Gómez'));
+
+        const event = press(document.activeElement, 'ArrowDown');
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    it('Intro abre la tarjeta con el foco', async () => {
+        await startApp(createFakeApi(CONTACTS));
+        const card = cardByName('Bruno Díaz');
+        card.focus();
+
+        press(card, 'Enter');
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/contacts/2'));
+    });
+
+    it('conserva el foco cuando la tarjeta se vuelve a pintar', async () => {
+        const { agenda } = await startApp(createFakeApi(CONTACTS));
+        const card = cardByName('Ana López');
+        card.focus();
+
+        agenda.setContacts(agenda.contacts.map(contact => contact.id === '1' ? { ...contact, apellido: 'Lara' } : contact));
+
+        expect(document.activeElement).toBe(cardByName('Ana Lara'));
+        expect(document.activeElement).not.toBe(card);
+    });
+});
+
+describe('Atajos de teclado', () => {
+    it('"/" lleva al buscador y "n" abre el alta', async () => {
+        await startApp(createFakeApi(CONTACTS));
+        const search = document.getElementById('search-input');
+
+        press(document.body, '/');
+        expect(document.activeElement).toBe(search);
+
+        // Escribiendo en un campo las teclas no son atajos
+        expect(press(search, 'n').defaultPrevented).toBe(false);
+
+        press(document.body, 'n');
+        await vi.waitFor(() => expect(document.activeElement).toBe(document.getElementById('nombre')));
+        expect(window.location.hash).toBe('#/new');
+
+        press(document.body, '/');
+        await vi.waitFor(() => expect(document.activeElement).toBe(search));
+        expect(window.location.hash).toBe('#/contacts');
+    });
+});
@@ -0,0 +1,265 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { API_URL, createFakeApi, jsonResponse, startApp, waitForLoad, cardNames, messageText } from './helpers.js';
+
+const CONTACTS = [
+    { id: '1', nombre: 'Juan', apellido: 'Pérez', telefono: '8091234567' },
+    { id: '2', nombre: 'Ana', apellido: 'López', telefono: '8297654321' }
+];
+
+function fillForm({ nombre, apellido, telefono }) {
+    const form = document.getElementById('contact-form');
+    form.elements.nombre.value = nombre;
+    form.elements.apellido.value = apellido;
+    form.querySelector('#telefono').value = telefono;
+    return form;
+}
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('Agenda.loadContacts', () => {
+    it('carga la lista de la API y avisa cuántos contactos hay', async () => {
+        const api = createFakeApi(CONTACTS);
+        const { agenda } = await startApp(api);
+
+        expect(api.requests[0]).toMatchObject({ url: API_URL, method: 'GET' });
+        expect(agenda.contacts).toHaveLength(2);
+        expect(cardNames()).toEqual(['Ana López', 'Juan Pérez']);
+        expect(messageText()).toBe('✅ 2 contactos cargados');
+    });
+
+    it('aparta los registros mal formados sin romper la lista', async () => {
+        const api = createFakeApi([...CONTACTS, { id: '3', nombre: 'Sin teléfono', apellido: 'X' }, null]);
+        const { agenda } = await startApp(api);
+
+        expect(cardNames()).toHaveLength(2);
+        expect(agenda.problems).toHaveLength(2);
+        expect(document.getElementById('problems-count').textContent).toBe('2');
+        expect(messageText()).toContain('2 registros con problemas');
+    });
+
+    it('muestra la ayuda de CORS cuando el servidor no permite la petición', async () => {
+        const api = createFakeApi(CONTACTS, ({ options }) => {
+            if (options.mode === 'no-cors') return new Response('');
+            throw new TypeError('Failed to fetch');
+        });
+        await startApp(api);
+
+        expect(document.querySelector('.cors-error')).not.toBeNull();
+        expect(messageText()).toContain('CORS');
+    });
+
+    it('explica una respuesta que no es una lista', async () => {
+        const api = createFakeApi(CONTACTS, ({ method }) => method === 'GET' ? jsonResponse({ contactos: [] }) : null);
+        await startApp(api);
+
+        expect(document.querySelector('.error-state h3').textContent).toBe('Respuesta inesperada del servidor');
+        expect(messageText()).toContain('se esperaba una lista de contactos');
+    });
+
+    it('explica un JSON inválido', async () => {
+        const api = createFakeApi(CONTACTS, ({ method }) => method === 'GET' ? new Response('[{"nombre": ') : null);
+        await startApp(api);
+
+        expect(messageText()).toContain('no es JSON válido');
+    });
+
+    it('una carga nueva cancela la anterior', async () => {
+        const api = createFakeApi(CONTACTS);
+        const { agenda } = await startApp(api);
+
+        const first = agenda.loadContacts();
+        const second = agenda.loadContacts();
+
+        await expect(first).resolves.toBe(false);
+        await expect(second).resolves.toBe(true);
+    });
+});
+
+describe('Agregar contactos', () => {
+    it('envía el contacto por POST y lo muestra en la lista', async () => {
+        const api = createFakeApi(CONTACTS);
+        const { agenda } = await startApp(api);
+
+        const form = fillForm({ nombre: 'María', apellido: 'González', telefono: '809 555 1234' });
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+        await vi.waitFor(() => expect(api.requests.some(request => request.method === 'POST')).toBe(true));
+        // La lista se recarga un segundo después de guardar
+        await vi.waitFor(() => expect(cardNames()).toContain('María González'), { timeout: 3000 });
+        await waitForLoad(agenda);
+
+        const post = api.requests.find(request => request.method === 'POST');
+        expect(post.body).toEqual({ nombre: 'María', apellido: 'González', telefono: '+18095551234' });
+        expect(messageText()).toContain('agregado exitosamente');
+    });
+
+    it('no envía nada si el formulario no es válido', async () => {
+        const api = createFakeApi(CONTACTS);
+        await startApp(api);
+
+        const form = fillForm({ nombre: 'M', apellido: 'González', telefono: '123' });
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+        expect(api.requests.filter(request => request.method === 'POST')).toHaveLength(0);
+        expect(messageText()).toContain('Revisa los 2 campos marcados');
+        expect(document.getElementById('error-nombre').textContent).toContain('El nombre debe contener solo letras');
+    });
+
+    it('informa del error HTTP al guardar', async () => {
+        const api = createFakeApi(CONTACTS, ({ method }) =>
+            method === 'POST' ? jsonResponse({ error: 'Teléfono duplicado' }, 409) : null);
+        await startApp(api);
+
+        const form = fillForm({ nombre: 'María', apellido: 'González', telefono: '8095551234' });
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+        await vi.waitFor(() => expect(messageText()).toContain('Teléfono duplicado'));
+        expect(messageText()).toContain('HTTP 409');
+    });
+});
+
+describe('Bandeja de salida', () => {
+    it('informa del error al reintentar aunque la entrada haya salido de la bandeja', async () => {
+        const entry = { id: 'outbox-1', action: 'create', status: 'failed', error: 'Sin red', payload: { nombre: 'María', apellido: 'González', telefono: '8095551234' } };
+        let agenda = null;
+        const api = createFakeApi(CONTACTS, ({ method }) => {
+            if (method !== 'POST') return null;
+            // Otra sincronización la quita mientras el reintento está en curso
+            agenda.store.setState({ outbox: [] });
+            return jsonResponse({ error: 'Servidor caído' }, 500);
+        });
+        ({ agenda } = await startApp(api));
+        vi.spyOn(agenda.offlineStore, 'putOutboxEntry').mockResolvedValue();
+        agenda.store.setState({ outbox: [entry] });
+
+        await agenda.retryOutboxEntry('outbox-1');
+
+        expect(messageText()).toContain('No se pudo sincronizar');
+        expect(messageText()).toContain('Servidor caído');
+        // La entrada descartada no vuelve a la base de datos
+        expect(agenda.offlineStore.putOutboxEntry).not.toHaveBeenCalled();
+        expect(agenda.outbox).toEqual([]);
+    });
+
+    it('si falla la red la entrada sigue pendiente y se reenvía al volver la conexión', async () => {
+        const entry = { id: 'outbox-1', source: `rest:${API_URL}`, action: 'create', status: 'pending', error: null, payload: { nombre: 'María', apellido: 'González', telefono: '8095551234' } };
+        let down = true;
+        const api = createFakeApi(CONTACTS, () => {
+            if (down) throw new TypeError('Failed to fetch');
+            return null;
+        });
+        down = false;
+        const { agenda } = await startApp(api);
+        down = true;
+
+        let saved = [entry];
+        vi.spyOn(agenda.offlineStore, 'getOutbox').mockImplementation(async () => saved);
+        vi.spyOn(agenda.offlineStore, 'putOutboxEntry').mockImplementation(async (item) => {
+            saved = saved.map(other => other.id === item.id ? item : other);
+        });
+        vi.spyOn(agenda.offlineStore, 'deleteOutboxEntry').mockImplementation(async (id) => {
+            saved = saved.filter(other => other.id !== id);
+        });
+        agenda.store.setState({ outbox: [entry] });
+
+        await agenda.syncOutbox();
+        expect(saved[0]).toMatchObject({ status: 'pending' });
+        expect(saved[0].error).toBeTruthy();
+
+        down = false;
+        await agenda.syncOutbox();
+        expect(saved).toEqual([]);
+        expect(api.contacts.some(contact => contact.nombre === 'María')).toBe(true);
+    });
+});
+
+describe('Contactos sin id de la fuente', () => {
+    const SHARED_PHONE = [
+        { nombre: 'Juan', apellido: 'Pérez', telefono: '8091234567' },
+        { nombre: 'Juana', apellido: 'Pérez', telefono: '809-123-4567' }
+    ];
+
+    it('da a cada contacto un id único aunque compartan teléfono', async () => {
+        const api = createFakeApi(SHARED_PHONE);
+        api.contacts.forEach(contact => delete contact.id);
+        const { agenda } = await startApp(api);
+
+        const ids = [...document.querySelectorAll('.contact-card')].map(card => card.dataset.key);
+        expect(new Set(ids).size).toBe(2);
+        expect(agenda.contacts.map(contact => contact.localId).sort()).toEqual(['8091234567', '8091234567-2']);
+    });
+
+    it('fusiona los duplicados por teléfono', async () => {
+        const api = createFakeApi(SHARED_PHONE);
+        api.contacts.forEach(contact => delete contact.id);
+        const { agenda } = await startApp(api);
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+        agenda.findDuplicates();
+        const juan = agenda.contacts.find(contact => contact.nombre === 'Juan');
+        await agenda.mergeDuplicateGroup(0, juan.localId);
+
+        const writes = api.requests.filter(request => request.method !== 'GET');
+        // Los campos básicos del principal no cambian: la API solo recibe el borrado
+        expect(writes).toEqual([expect.objectContaining({ method: 'DELETE', url: `${API_URL}?id=8091234567` })]);
+        expect(messageText()).toContain('Contactos fusionados en "Juan Pérez"');
+    });
+
+    it('avisa si no hay nada que fusionar', async () => {
+        const api = createFakeApi(SHARED_PHONE);
+        api.contacts.forEach(contact => delete contact.id);
+        const { agenda } = await startApp(api);
+
+        agenda.findDuplicates();
+        await agenda.mergeDuplicateGroup(0, 'no-existe');
+
+        expect(api.requests.filter(request => request.method !== 'GET')).toHaveLength(0);
+        expect(messageText()).toContain('No hay nada que fusionar');
+    });
+
+    it('elimina el contacto elegido y envía a la API su teléfono', async () => {
+        const api = createFakeApi(SHARED_PHONE);
+        api.contacts.forEach(contact => delete contact.id);
+        const { agenda } = await startApp(api);
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+        const juana = agenda.contacts.find(contact => contact.nombre === 'Juana');
+        await agenda.deleteContact(juana.localId);
+
+        expect(cardNames()).toEqual(['Juan Pérez']);
+        expect(api.requests.at(-1)).toMatchObject({ method: 'DELETE', url: `${API_URL}?id=8091234567` });
+    });
+});
+
+describe('Campos extendidos en fuentes básicas', () => {
+    it('los contactos con el mismo teléfono no comparten sus extras', async () => {
+        const api = createFakeApi([
+            { nombre: 'Juan', apellido: 'Pérez', telefono: '8091234567' },
+            { nombre: 'Juana', apellido: 'Pérez', telefono: '8091234567' }
+        ]);
+        api.contacts.forEach(contact => delete contact.id);
+        const { app, agenda } = await startApp(api);
+
+        const juana = agenda.contacts.find(contact => contact.nombre === 'Juana');
+        await agenda.updateContact(juana.localId, { ...app.ContactModel.toData(juana), notas: 'Prima' }, { silent: true });
+        await agenda.loadContacts(true);
+
+        const notes = Object.fromEntries(agenda.contacts.map(contact => [contact.nombre, contact.notas]));
+        expect(notes).toEqual({ Juan: '', Juana: 'Prima' });
+    });
+
+    it('conserva los extras al cambiar el teléfono', async () => {
+        const api = createFakeApi(CONTACTS);
+        const { app, agenda } = await startApp(api);
+
+        const juan = agenda.findContact('1');
+        await agenda.updateContact('1', { ...app.ContactModel.toData(juan), telefono: '8095550000', notas: 'Vecino' }, { silent: true });
+        await agenda.loadContacts(true);
+
+        expect(agenda.findContact('1')).toMatchObject({ telefono: '8095550000', notas: 'Vecino' });
+        const stored = JSON.parse(localStorage.getItem(Object.keys(localStorage).find(key => key.includes(API_URL))));
+        expect(Object.keys(stored)).toEqual(['id:1']);
+    });
+});
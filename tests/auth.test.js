@@ -0,0 +1,227 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { cardNames, createFakeApi, jsonResponse, messageText, startApp, waitForLoad } from './helpers.js';
+
+const AUTH_URL = 'https://api.test/auth';
+
+const CONTACTS = [
+    { id: '1', nombre: 'Ana', apellido: 'López', telefono: '8091234567' }
+];
+
+let running = null;
+
+/**
+ * Arranca la agenda y apaga la de la prueba anterior: sin sesión, su router
+ * seguiría llevando cualquier ruta al inicio de sesión
+ */
+async function start(api, settings) {
+    if (running) {
+        clearTimeout(running.sessionTimer);
+        running.autoRefresh.setInterval(0);
+        running.router.onChange = () => {};
+    }
+    const started = await startApp(api, settings);
+    running = started.agenda;
+    return started;
+}
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+/**
+ * API falsa con el servicio de sesiones: un token por usuario y los que
+ * estén en `revoked` reciben 401
+ */
+function createAuthApi({ expiresIn = 3600, revoked = new Set() } = {}) {
+    const api = createFakeApi(CONTACTS, ({ url, body, options }) => {
+        if (url === `${AUTH_URL}/login`) {
+            if (body.password !== 'secreto') return jsonResponse({ error: 'Usuario o contraseña incorrectos' }, 401);
+            return jsonResponse({ token: `token-${body.usuario}`, user: { id: body.usuario, name: 'Ana Rodríguez' }, expiresIn });
+        }
+        if (url === `${AUTH_URL}/logout`) return jsonResponse({ ok: true });
+
+        const auth = (options.headers || {}).Authorization;
+        if (auth && revoked.has(auth.replace('Bearer ', ''))) {
+            return jsonResponse({ error: 'La sesión ha caducado o no es válida' }, 401);
+        }
+        return null;
+    });
+    return api;
+}
+
+async function login(usuario, password = 'secreto') {
+    const form = document.getElementById('login-form');
+    form.elements.usuario.value = usuario;
+    form.elements.password.value = password;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+describe('Inicio de sesión', () => {
+    it('sin sesión muestra el inicio de sesión y no pide la lista', async () => {
+        const api = createAuthApi();
+        await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        expect(window.location.hash).toBe('#/login');
+        expect(document.querySelector('[data-view="login"]').hidden).toBe(false);
+        expect(document.getElementById('login-help').textContent).toContain('api.test');
+        expect(document.getElementById('user-menu').hidden).toBe(true);
+        expect(api.requests).toHaveLength(0);
+
+        // Las demás rutas esperan al inicio de sesión
+        window.location.hash = '#/new';
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/login'));
+    });
+
+    it('envía las credenciales y adjunta el token a las peticiones de la agenda', async () => {
+        const api = createAuthApi();
+        const { agenda } = await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        await login('ana');
+        await vi.waitFor(() => expect(cardNames()).toEqual(['Ana López']));
+        await waitForLoad(agenda);
+
+        expect(api.requests[0]).toMatchObject({ url: `${AUTH_URL}/login`, method: 'POST', body: { usuario: 'ana', password: 'secreto' } });
+        const list = api.requests.find(request => request.method === 'GET');
+        expect(list.headers.Authorization).toBe('Bearer token-ana');
+        expect(window.location.hash).toBe('#/contacts');
+
+        const menu = document.getElementById('user-menu');
+        expect(menu.hidden).toBe(false);
+        expect(menu.textContent).toContain('Ana Rodríguez');
+        expect(JSON.parse(localStorage.getItem('agenda.session')).user.id).toBe('ana');
+    });
+
+    it('no envía el token a APIs de otro origen ni el del sustituto local', async () => {
+        const api = createAuthApi();
+        const { agenda } = await start(api, { auth: 'remote', authUrl: AUTH_URL, restUrl: 'https://otra.test/agenda.php' });
+
+        await login('ana');
+        await vi.waitFor(() => expect(cardNames()).toHaveLength(1));
+        await waitForLoad(agenda);
+
+        const list = api.requests.find(request => request.method === 'GET');
+        expect(list.url).toBe('https://otra.test/agenda.php');
+        expect(list.headers.Authorization).toBeUndefined();
+
+        const raydelto = createAuthApi();
+        const local = await start(raydelto, { auth: 'local', dataSource: 'raydelto' });
+        await login('ana', 'cualquiera');
+        await vi.waitFor(() => expect(raydelto.requests.some(request => request.method === 'GET')).toBe(true));
+        await waitForLoad(local.agenda);
+
+        expect(raydelto.requests.find(request => request.method === 'GET').headers.Authorization).toBeUndefined();
+    });
+
+    it('la actualización automática no cuenta como fallo mientras no hay sesión', async () => {
+        const api = createAuthApi();
+        const { agenda } = await start(api, { auth: 'remote', authUrl: AUTH_URL, refreshInterval: 30 });
+
+        await agenda.autoRefresh.tick();
+        expect(agenda.autoRefresh.failures).toBe(0);
+        expect(document.getElementById('refresh-notice').hidden).toBe(true);
+        expect(api.requests).toHaveLength(0);
+
+        const setInterval = vi.spyOn(agenda.autoRefresh, 'setInterval');
+        await login('ana');
+        await vi.waitFor(() => expect(cardNames()).toHaveLength(1));
+        await waitForLoad(agenda);
+        expect(setInterval).toHaveBeenCalledWith(30);
+    });
+
+    it('avisa si el usuario o la contraseña no son correctos', async () => {
+        const api = createAuthApi();
+        await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        await login('ana', 'otra');
+        await vi.waitFor(() => expect(messageText()).toContain('Usuario o contraseña incorrectos'));
+        expect(window.location.hash).toBe('#/login');
+        expect(api.requests.some(request => request.method === 'GET')).toBe(false);
+    });
+
+    it('si el servidor rechaza el token vuelve al inicio de sesión y después a la misma página', async () => {
+        const revoked = new Set();
+        const api = createAuthApi({ revoked });
+        const { agenda } = await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        await login('ana');
+        await vi.waitFor(() => expect(cardNames()).toHaveLength(1));
+        await waitForLoad(agenda);
+
+        window.location.hash = '#/new';
+        await vi.waitFor(() => expect(document.querySelector('[data-view="form"]').hidden).toBe(false));
+
+        revoked.add('token-ana');
+        await agenda.loadContacts(true);
+
+        expect(window.location.hash).toBe('#/login');
+        expect(messageText()).toContain('Tu sesión ha caducado');
+        expect(cardNames()).toEqual([]);
+        expect(localStorage.getItem('agenda.session')).toBeNull();
+
+        revoked.clear();
+        await login('ana');
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/new'));
+    });
+
+    it('al caducar la sesión vuelve al inicio de sesión sin esperar al servidor', async () => {
+        const api = createAuthApi({ expiresIn: 0.3 });
+        await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        await login('ana');
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/contacts'));
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/login'));
+        expect(messageText()).toContain('Tu sesión ha caducado');
+    });
+
+    it('cerrar sesión revoca el token, olvida la agenda y muestra el inicio de sesión', async () => {
+        const api = createAuthApi();
+        const { agenda } = await start(api, { auth: 'remote', authUrl: AUTH_URL });
+
+        await login('ana');
+        await vi.waitFor(() => expect(cardNames()).toHaveLength(1));
+        await waitForLoad(agenda);
+
+        document.getElementById('user-menu-btn').click();
+        expect(document.getElementById('user-menu-options').hidden).toBe(false);
+        document.querySelector('[data-action="logout"]').click();
+
+        await vi.waitFor(() => expect(api.requests.at(-1)).toMatchObject({ url: `${AUTH_URL}/logout`, method: 'POST' }));
+        expect(api.requests.at(-1).headers.Authorization).toBe('Bearer token-ana');
+        expect(window.location.hash).toBe('#/login');
+        expect(messageText()).toContain('Sesión cerrada');
+        expect(document.getElementById('user-menu').hidden).toBe(true);
+        expect(agenda.contacts).toEqual([]);
+    });
+});
+
+describe('Sustituto local', () => {
+    it('cada usuario tiene su propia agenda en el navegador', async () => {
+        const { agenda } = await start(createFakeApi(), { auth: 'local', dataSource: 'localStorage' });
+        const form = document.getElementById('contact-form');
+
+        await login('Ana', 'cualquiera');
+        await vi.waitFor(() => expect(window.location.hash).toBe('#/contacts'));
+        await waitForLoad(agenda);
+
+        window.location.hash = '#/new';
+        await vi.waitFor(() => expect(document.querySelector('[data-view="form"]').hidden).toBe(false));
+        form.elements.nombre.value = 'Marta';
+        form.elements.apellido.value = 'Soto';
+        form.querySelector('#telefono').value = '8095551234';
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+        // La lista se recarga un segundo después de guardar
+        await vi.waitFor(() => expect(cardNames()).toEqual(['Marta Soto']), { timeout: 3000 });
+        await waitForLoad(agenda);
+
+        await agenda.logout();
+        await login('Luis', 'cualquiera');
+        await vi.waitFor(() => expect(document.getElementById('user-menu').textContent).toContain('Luis'));
+        await waitForLoad(agenda);
+        expect(cardNames()).toEqual([]);
+
+        await agenda.logout();
+        await login('ana', 'cualquiera');
+        await vi.waitFor(() => expect(cardNames()).toEqual(['Marta Soto']));
+    });
+});
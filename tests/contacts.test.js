@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { ContactSorter } from '../fronted/script.js';
+
+describe('ContactSorter.sort', () => {
+    it('por fecha pone primero los más recientes y, sin fecha, los últimos de la API', () => {
+        const contacts = [
+            { nombre: 'Ana' },
+            { nombre: 'Luis', createdAt: 1000 },
+            { nombre: 'Marta' },
+            { nombre: 'Pedro', createdAt: 2000 },
+            { nombre: 'Rosa' }
+        ];
+
+        const names = ContactSorter.sort(contacts, 'fecha').map(contact => contact.nombre);
+
+        expect(names).toEqual(['Pedro', 'Luis', 'Rosa', 'Marta', 'Ana']);
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { ContactExporter, CsvParser, ImportManager } from '../fronted/script.js';
+
+describe('ContactExporter.toCSV', () => {
+    it('protege de fórmulas las celdas que empiezan por = + - @', () => {
+        const csv = ContactExporter.toCSV([
+            { nombre: '=cmd|/C calc!A0', apellido: '@López', telefono: '8091234567', notas: '-2+3' }
+        ]);
+        const [, row] = CsvParser.parse(csv);
+
+        expect(row[0]).toBe("'=cmd|/C calc!A0");
+        expect(row[1]).toBe("'@López");
+        expect(row[6]).toBe("'-2+3");
+    });
+
+    it('deja los teléfonos con formato sin apóstrofo', () => {
+        const csv = ContactExporter.toCSV([{
+            nombre: 'Ana',
+            apellido: 'López',
+            telefonos: [{ etiqueta: 'movil', numero: '8091234567' }, { etiqueta: 'casa', numero: '+34 612 345 678' }, { etiqueta: 'trabajo', numero: '=cmd' }]
+        }]);
+        const [, row] = CsvParser.parse(csv);
+
+        expect(row[2]).toBe('+1 (809) 123-4567');
+        expect(row[3]).toBe("'+34 612 345 678; =cmd");
+    });
+
+    it('deja igual el resto de celdas y escapa comillas y separadores', () => {
+        const csv = ContactExporter.toCSV([
+            { nombre: 'Ana', apellido: 'López', telefono: '', notas: 'Dijo "hola", adiós' }
+        ]);
+
+        expect(csv.split('\r\n')[1]).toBe('Ana,López,,,,,"Dijo ""hola"", adiós",,,');
+    });
+});
+
+describe('ImportManager', () => {
+    it('al importar un CSV exportado quita el apóstrofo de las celdas protegidas', () => {
+        const csv = ContactExporter.toCSV([{ nombre: 'Ana', apellido: 'López', telefono: '8091234567', direccion: '\tCalle 1', notas: '=1+1' }]);
+        const manager = new ImportManager(null);
+        manager.renderPreview = () => {};
+
+        manager.csvRows = CsvParser.parse(csv);
+        manager.mapping = manager.guessMapping(manager.csvRows[0]);
+        manager.applyMapping();
+
+        expect(manager.candidates[0]).toMatchObject({ nombre: 'Ana', telefono: '+1 (809) 123-4567', direccion: '\tCalle 1', notas: '=1+1' });
+    });
+});
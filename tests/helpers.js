@@ -0,0 +1,123 @@
+/**
+ * Utilidades compartidas por las pruebas: carga la página real en jsdom
+ * y sustituye fetch por una API falsa en memoria.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { vi } from 'vitest';
+
+export const API_URL = 'https://api.test/agenda.php';
+
+const INDEX_HTML = fs.readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fronted', 'index.html'),
+    'utf8'
+);
+
+/**
+ * Respuesta JSON como la que devolvería fetch
+ */
+export function jsonResponse(body, status = 200) {
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * fetch falso con el contrato de agenda.php sobre una lista en memoria.
+ * `handler` permite interceptar una petición y devolver otra respuesta.
+ */
+export function createFakeApi(contacts = [], handler = null) {
+    const api = {
+        contacts: contacts.map(contact => ({ ...contact })),
+        requests: []
+    };
+
+    api.fetch = vi.fn(async (url, options = {}) => {
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : undefined;
+        api.requests.push({ url: String(url), method, body, mode: options.mode, headers: options.headers });
+
+        if (handler) {
+            const response = await handler({ url: String(url), method, body, options });
+            if (response) return response;
+        }
+
+        const id = new URL(url).searchParams.get('id');
+
+        if (method === 'GET') return jsonResponse(api.contacts);
+        if (method === 'POST') {
+            const created = { ...body, id: String(api.contacts.length + 1) };
+            api.contacts.push(created);
+            return jsonResponse(created, 201);
+        }
+        if (method === 'PUT') {
+            const index = api.contacts.findIndex(contact => contact.id === id);
+            api.contacts[index] = { ...api.contacts[index], ...body };
+            return jsonResponse(api.contacts[index]);
+        }
+        if (method === 'DELETE') {
+            api.contacts = api.contacts.filter(contact => contact.id !== id);
+            return jsonResponse({ ok: true });
+        }
+        return jsonResponse({ error: 'Método no permitido' }, 405);
+    });
+
+    return api;
+}
+
+/**
+ * Pinta el HTML de la aplicación en el documento de jsdom
+ */
+export function loadPage() {
+    document.body.innerHTML = INDEX_HTML.match(/<body>([\s\S]*)<\/body>/)[1];
+    window.location.hash = '';
+}
+
+/**
+ * Arranca una instancia nueva de la agenda contra la API falsa y espera a
+ * que termine la primera carga. Las pruebas usan el español salvo que pidan otro idioma.
+ */
+export async function startApp(api, settings = {}, { locale = 'es' } = {}) {
+    localStorage.clear();
+    localStorage.setItem('agenda.locale', locale);
+    localStorage.setItem('agenda.settings', JSON.stringify({
+        dataSource: 'rest',
+        restUrl: API_URL,
+        refreshInterval: 0,
+        ...settings
+    }));
+
+    vi.stubGlobal('fetch', api.fetch);
+    // Sin espera aleatoria entre reintentos
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    loadPage();
+    vi.resetModules();
+    const app = await import('../fronted/script.js');
+    const agenda = app.initializeApp();
+
+    await waitForLoad(agenda);
+    return { app, agenda };
+}
+
+/**
+ * Espera a que no quede ninguna carga en curso
+ */
+export async function waitForLoad(agenda) {
+    await vi.waitFor(() => {
+        if (agenda.loadController) throw new Error('Carga en curso');
+    });
+}
+
+export function cardNames() {
+    return [...document.querySelectorAll('.contact-card .contact-name')].map(element => element.textContent.trim());
+}
+
+export function messageText() {
+    return document.getElementById('message-container').textContent.trim();
+}
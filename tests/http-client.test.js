@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    HttpClient, NetworkError, CorsError, HttpError, PayloadError, TimeoutError, RequestCancelledError
+} from '../fronted/script.js';
+import { jsonResponse } from './helpers.js';
+
+const URL_API = 'https://api.test/agenda.php';
+
+describe('HttpClient', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new HttpClient({ timeout: 50, retries: 2, retryDelay: 1 });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('devuelve el JSON y solo envía Content-Type cuando hay cuerpo', async () => {
+        const fetch = vi.fn(async () => jsonResponse([{ id: '1' }]));
+        vi.stubGlobal('fetch', fetch);
+
+        await expect(client.request(URL_API)).resolves.toEqual([{ id: '1' }]);
+        await client.request(URL_API, { method: 'POST', body: { nombre: 'Ana' } });
+
+        expect(fetch.mock.calls[0][1].headers['Content-Type']).toBeUndefined();
+        expect(fetch.mock.calls[1][1].headers['Content-Type']).toBe('application/json');
+        expect(fetch.mock.calls[1][1].body).toBe('{"nombre":"Ana"}');
+    });
+
+    it('reintenta los GET ante un 5xx', async () => {
+        const fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ error: 'caído' }, 503))
+            .mockResolvedValueOnce(jsonResponse([]));
+        vi.stubGlobal('fetch', fetch);
+
+        await expect(client.request(URL_API)).resolves.toEqual([]);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('no reintenta los POST', async () => {
+        const fetch = vi.fn(async () => jsonResponse({ error: 'boom' }, 500));
+        vi.stubGlobal('fetch', fetch);
+
+        const error = await client.request(URL_API, { method: 'POST', body: {} }).catch(e => e);
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(500);
+        expect(error.message).toContain('boom');
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('trata { error } con estado 200 como error del servidor', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ error: 'Datos inválidos' })));
+
+        await expect(client.request(URL_API, { method: 'POST', body: {} }))
+            .rejects.toThrow('Datos inválidos');
+    });
+
+    it('convierte el JSON inválido en PayloadError', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('<html>')));
+
+        await expect(client.request(URL_API)).rejects.toBeInstanceOf(PayloadError);
+    });
+
+    it('corta la petición al agotar el tiempo', async () => {
+        vi.stubGlobal('fetch', vi.fn((url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('abort', 'AbortError')));
+        })));
+
+        const error = await client.request(URL_API, { retries: 0 }).catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.retryable).toBe(true);
+    });
+
+    it('distingue CORS de una red caída', async () => {
+        vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+            if (options.mode === 'no-cors') return new Response('');
+            throw new TypeError('Failed to fetch');
+        }));
+        await expect(client.request(URL_API, { retries: 0 })).rejects.toBeInstanceOf(CorsError);
+
+        vi.stubGlobal('fetch', vi.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        }));
+        await expect(client.request(URL_API, { retries: 0 })).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    it('se cancela con una señal externa', async () => {
+        vi.stubGlobal('fetch', vi.fn((url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('abort', 'AbortError')));
+        })));
+
+        const controller = new AbortController();
+        const request = client.request(URL_API, { signal: controller.signal, timeout: 1000 });
+        controller.abort();
+
+        await expect(request).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+});
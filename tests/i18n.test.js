@@ -0,0 +1,95 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { I18n, t } from '../fronted/js/i18n.js';
+import { createFakeApi, startApp, cardNames } from './helpers.js';
+
+afterEach(() => {
+    I18n.setLocale('es', { save: false });
+    localStorage.clear();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('I18n', () => {
+    it('sustituye los parámetros y elige el plural según el idioma', () => {
+        expect(t('contacts.count', { count: 1 })).toBe('1 contacto');
+        expect(t('contacts.count', { count: 0 })).toBe('0 contactos');
+        expect(t('contact.deleted', { name: 'Ana López' })).toBe('Contacto "Ana López" eliminado');
+
+        I18n.setLocale('en', { save: false });
+        expect(t('contacts.count', { count: 1 })).toBe('1 contact');
+        expect(t('contacts.countFiltered', { count: 12000, visible: 3 })).toBe('3 of 12,000 contacts');
+    });
+
+    it('usa el español si falta la clave en el idioma activo', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        I18n.CATALOGS.es['test.onlySpanish'] = 'Solo en español';
+        I18n.setLocale('en', { save: false });
+
+        try {
+            expect(t('test.onlySpanish')).toBe('Solo en español');
+            expect(t('test.missing')).toBe('test.missing');
+            expect(console.warn).toHaveBeenCalled();
+        } finally {
+            delete I18n.CATALOGS.es['test.onlySpanish'];
+        }
+    });
+
+    it('los catálogos tienen las mismas claves y formas de plural', () => {
+        const { es, en } = I18n.CATALOGS;
+
+        expect(Object.keys(en).sort()).toEqual(Object.keys(es).sort());
+        Object.keys(es).forEach(key => {
+            expect(typeof en[key], key).toBe(typeof es[key]);
+        });
+    });
+
+    it('ordena con las reglas del idioma activo', () => {
+        const names = ['Ñandú', 'Nora', 'Oscar'];
+
+        expect([...names].sort(I18n.getCollator().compare)).toEqual(['Nora', 'Ñandú', 'Oscar']);
+
+        I18n.setLocale('en', { save: false });
+        expect([...names].sort(I18n.getCollator().compare)).toEqual(['Ñandú', 'Nora', 'Oscar']);
+    });
+
+    it('elige el idioma guardado o, si no hay, el del navegador', () => {
+        vi.stubGlobal('navigator', { languages: ['fr-FR', 'en-GB'] });
+        expect(I18n.detectLocale()).toBe('en');
+
+        localStorage.setItem('agenda.locale', 'es');
+        expect(I18n.detectLocale()).toBe('es');
+    });
+});
+
+describe('Selector de idioma', () => {
+    it('traduce la página y repinta la lista sin recargar', async () => {
+        const api = createFakeApi([
+            { id: '1', nombre: 'Nora', apellido: 'Pérez', telefono: '8091234567' },
+            { id: '2', nombre: 'Ñandú', apellido: 'López', telefono: '8297654321' }
+        ]);
+        const { app } = await startApp(api);
+        const select = document.getElementById('language-select');
+
+        expect(cardNames()).toEqual(['Nora Pérez', 'Ñandú López']);
+        expect(document.getElementById('contact-count').textContent).toBe('2 contactos');
+
+        select.value = 'en';
+        select.dispatchEvent(new Event('change'));
+
+        expect(document.documentElement.lang).toBe('en');
+        expect(localStorage.getItem('agenda.locale')).toBe('en');
+        expect(document.getElementById('contact-count').textContent).toBe('2 contacts');
+        expect(document.getElementById('search-input').placeholder).toBe(app.t('search.placeholder'));
+        expect(document.querySelector('.contact-card [data-action="edit"]').title).toBe('Edit');
+        expect(cardNames()).toEqual(['Ñandú López', 'Nora Pérez']);
+        expect(api.requests).toHaveLength(1);
+    });
+
+    it('arranca en el idioma guardado', async () => {
+        await startApp(createFakeApi([]), {}, { locale: 'en' });
+
+        expect(document.querySelector('[data-i18n="contacts.heading"]').textContent).toBe(I18n.CATALOGS.en['contacts.heading']);
+        expect(document.getElementById('language-select').value).toBe('en');
+        expect(document.querySelector('.empty-state h3').textContent).toBe('No contacts yet');
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ContactStore, createServer } from '../mock-server/server.js';
+
+describe('API local de prueba', () => {
+    let server;
+    let baseUrl;
+    let dataDir;
+
+    beforeAll(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agenda-mock-'));
+        server = createServer({ dataFile: path.join(dataDir, 'db.json') });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const api = (query = '', options = {}) => fetch(`${baseUrl}/agenda.php${query}`, options);
+
+    it('lista, crea, actualiza y elimina con el contrato de agenda.php', async () => {
+        const initial = await (await api()).json();
+        expect(initial.length).toBeGreaterThan(0);
+
+        const created = await (await api('', {
+            method: 'POST',
+            body: JSON.stringify({ nombre: 'Ana', apellido: 'López', telefono: '8091234567' })
+        })).json();
+        expect(created.id).toBeDefined();
+
+        const updated = await (await api(`?id=${created.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ nombre: 'Ana María' })
+        })).json();
+        expect(updated).toMatchObject({ nombre: 'Ana María', apellido: 'López' });
+
+        expect((await api(`?id=${created.id}`, { method: 'DELETE' })).status).toBe(200);
+        expect((await api(`?id=${created.id}`)).status).toBe(404);
+    });
+
+    it('rechaza contactos sin los campos obligatorios', async () => {
+        const response = await api('', { method: 'POST', body: JSON.stringify({ nombre: 'Ana' }) });
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toContain('apellido');
+    });
+
+    it('responde a CORS y a los interruptores de fallos', async () => {
+        const preflight = await api('', { method: 'OPTIONS' });
+        expect(preflight.status).toBe(204);
+        expect(preflight.headers.get('access-control-allow-origin')).toBe('*');
+
+        expect((await api('?_status=503')).status).toBe(503);
+        await expect((await api('?_malformed=json')).json()).rejects.toThrow();
+        expect(Array.isArray(await (await api('?_malformed=shape')).json())).toBe(false);
+    });
+});
+
+describe('ContactStore', () => {
+    it('tras reset sigue numerando desde el mayor id de los datos iniciales', () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agenda-mock-'));
+        const seedFile = path.join(dataDir, 'seed.json');
+        fs.writeFileSync(seedFile, JSON.stringify([{ id: '1' }, { id: '5' }]));
+
+        try {
+            const store = new ContactStore(path.join(dataDir, 'db.json'), seedFile);
+            expect(store.nextId).toBe(6);
+
+            store.reset();
+            expect(store.nextId).toBe(6);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Sesiones de la API local', () => {
+    let server;
+    let baseUrl;
+    let dataDir;
+
+    beforeAll(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agenda-mock-'));
+        server = createServer({ dataFile: path.join(dataDir, 'db.json') });
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const post = (route, body, token) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const list = (token) => fetch(`${baseUrl}/agenda.php`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    async function login(usuario, password) {
+        return (await post('/auth/login', { usuario, password })).json();
+    }
+
+    it('abre una sesión con token y rechaza las credenciales incorrectas', async () => {
+        const session = await login('ana', 'ana123');
+        expect(session.token).toMatch(/^[0-9a-f]+$/);
+        expect(session.user).toEqual({ id: 'ana', name: 'Ana Rodríguez' });
+        expect(Date.parse(session.expiresAt)).toBeGreaterThan(Date.now());
+
+        const wrong = await post('/auth/login', { usuario: 'ana', password: 'otra' });
+        expect(wrong.status).toBe(401);
+        expect((await wrong.json()).error).toContain('incorrectos');
+    });
+
+    it('cada usuario tiene su propia agenda, aparte de la compartida', async () => {
+        const ana = await login('ana', 'ana123');
+        const luis = await login('luis', 'luis123');
+
+        await fetch(`${baseUrl}/agenda.php`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${ana.token}` },
+            body: JSON.stringify({ nombre: 'Marta', apellido: 'Soto', telefono: '8095551234' })
+        });
+
+        expect((await (await list(ana.token)).json()).map(contact => contact.nombre)).toEqual(['Marta']);
+        expect(await (await list(luis.token)).json()).toEqual([]);
+        expect((await (await list()).json()).some(contact => contact.nombre === 'Marta')).toBe(false);
+    });
+
+    it('responde 401 a un token desconocido o revocado', async () => {
+        expect((await list('no-existe')).status).toBe(401);
+
+        const session = await login('luis', 'luis123');
+        expect((await list(session.token)).status).toBe(200);
+
+        await post('/auth/logout', undefined, session.token);
+        const revoked = await list(session.token);
+        expect(revoked.status).toBe(401);
+        expect((await revoked.json()).error).toContain('sesión');
+    });
+
+    it('con requireAuth la agenda compartida también pide sesión', async () => {
+        await post('/__config', { requireAuth: true });
+        try {
+            expect((await list()).status).toBe(401);
+            const session = await login('ana', 'ana123');
+            expect((await list(session.token)).status).toBe(200);
+        } finally {
+            await post('/__config', { requireAuth: false });
+        }
+    });
+});
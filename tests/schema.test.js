@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { ContactSchema } from '../fronted/script.js';
+
+describe('ContactSchema.normalizeList', () => {
+    it('normaliza tipos y espacios de los registros válidos', () => {
+        const { contacts, problems } = ContactSchema.normalizeList([
+            { id: 7, nombre: '  Luis ', apellido: 'Gómez  Díaz', telefono: 8095551234, emails: ['X@Y.COM', 'mal'] }
+        ]);
+
+        expect(problems).toEqual([]);
+        expect(contacts[0]).toMatchObject({
+            id: '7',
+            nombre: 'Luis',
+            apellido: 'Gómez Díaz',
+            telefono: '8095551234',
+            emails: ['x@y.com'],
+            etiquetas: [],
+            favorito: false
+        });
+    });
+
+    it('aparta los registros que no se pueden mostrar', () => {
+        const { contacts, problems } = ContactSchema.normalizeList([
+            null,
+            { nombre: 'Sin', telefono: '8091234567' },
+            { nombre: 'Tel', apellido: 'Objeto', telefono: { numero: 1 } },
+            { nombre: 'Tel', apellido: 'Letras', telefono: 'abc' },
+            { nombre: 'Bien', apellido: 'Formado', telefono: '8091234567' }
+        ]);
+
+        expect(contacts.map(contact => contact.nombre)).toEqual(['Bien']);
+        expect(problems.map(problem => problem.index)).toEqual([0, 1, 2, 3]);
+        expect(problems[1].errors).toEqual(['Falta el campo "apellido"']);
+    });
+
+    it('describe un registro apartado aunque esté incompleto', () => {
+        expect(ContactSchema.describe({ nombre: 'Ana' })).toBe('Ana');
+        expect(ContactSchema.describe({ id: 3 })).toBe('id 3');
+        expect(ContactSchema.describe(null)).toBe('null');
+    });
+});
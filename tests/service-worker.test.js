@@ -0,0 +1,290 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { jsonResponse, loadPage, messageText } from './helpers.js';
+
+const FRONTED_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fronted');
+const SOURCE = fs.readFileSync(path.join(FRONTED_DIR, 'sw.js'), 'utf8');
+const WORKER_URL = 'http://localhost:8080/app/sw.js';
+const API_URL = 'http://localhost:8080/agenda.php';
+
+/**
+ * Cache Storage en memoria con lo que usa sw.js
+ */
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    key(request, { ignoreSearch = false } = {}) {
+        const url = new URL(typeof request === 'string' ? request : request.url, WORKER_URL);
+        if (ignoreSearch) url.search = '';
+        return url.href;
+    }
+
+    async match(request, options) {
+        const response = this.entries.get(this.key(request, options));
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(this.key(request), response);
+    }
+
+    async addAll(urls) {
+        urls.forEach(url => this.entries.set(this.key(url), new Response(`contenido de ${url}`)));
+    }
+
+    async delete(request) {
+        return this.entries.delete(this.key(request));
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => new Request(url));
+    }
+}
+
+function createCaches() {
+    const stores = new Map();
+    return {
+        stores,
+        async open(name) {
+            if (!stores.has(name)) stores.set(name, new FakeCache());
+            return stores.get(name);
+        },
+        async keys() {
+            return [...stores.keys()];
+        },
+        async delete(name) {
+            return stores.delete(name);
+        }
+    };
+}
+
+/**
+ * Ejecuta sw.js en un contexto aislado con fetch, cachés y clientes falsos
+ */
+function loadWorker(fetch) {
+    const listeners = {};
+    const client = { postMessage: vi.fn() };
+    const caches = createCaches();
+    const self = {
+        location: new URL(WORKER_URL),
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: vi.fn(),
+        clients: { claim: vi.fn(async () => {}), matchAll: vi.fn(async () => [client]) }
+    };
+
+    vm.runInNewContext(SOURCE, { self, caches, fetch, URL, Request, Response, console });
+
+    const dispatch = (type, event) => {
+        const pending = [];
+        let response = null;
+        listeners[type]({
+            ...event,
+            waitUntil: promise => pending.push(promise),
+            respondWith: promise => { response = promise; }
+        });
+        return { response, done: () => Promise.all(pending) };
+    };
+
+    return { self, caches, client, dispatch };
+}
+
+function apiRequest(method = 'GET', url = API_URL, headers = {}) {
+    return new Request(url, { method, headers: { Accept: 'application/json', ...headers } });
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`)
+        : [entry.name]);
+}
+
+describe('Service worker', () => {
+    it('precarga la página, los estilos y todos los módulos', async () => {
+        const worker = loadWorker(vi.fn());
+        await worker.dispatch('install', {}).done();
+
+        const shell = worker.caches.stores.get('agenda-shell-v2');
+        const cached = [...shell.entries.keys()].map(url => url.replace('http://localhost:8080/app/', ''));
+
+        expect(cached).toEqual(expect.arrayContaining(['', 'index.html', 'script.js', 'styles.css', 'manifest.webmanifest']));
+        listFiles(path.join(FRONTED_DIR, 'js')).forEach(file => {
+            expect(cached).toContain(`js/${file}`);
+        });
+    });
+
+    it('sin conexión sirve la aplicación desde la caché', async () => {
+        const worker = loadWorker(vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+        await worker.dispatch('install', {}).done();
+
+        const script = await worker.dispatch('fetch', { request: new Request('http://localhost:8080/app/script.js') }).response;
+        expect(await script.text()).toBe('contenido de script.js');
+
+        const navigation = { url: 'http://localhost:8080/app/?utm=1', method: 'GET', mode: 'navigate', headers: new Headers() };
+        const page = await worker.dispatch('fetch', { request: navigation }).response;
+        expect(await page.text()).toBe('contenido de ./');
+    });
+
+    it('sirve la última lista al momento y la renueva en segundo plano', async () => {
+        const lists = [[{ id: '1', nombre: 'Ana' }], [{ id: '1', nombre: 'Ana' }, { id: '2', nombre: 'Luis' }]];
+        const fetch = vi.fn(async () => jsonResponse(lists[Math.min(fetch.mock.calls.length - 1, 1)]));
+        const worker = loadWorker(fetch);
+
+        const first = worker.dispatch('fetch', { request: apiRequest() });
+        expect(await (await first.response).json()).toHaveLength(1);
+
+        const second = worker.dispatch('fetch', { request: apiRequest() });
+        expect(await (await second.response).json()).toHaveLength(1);
+        await second.done();
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(worker.client.postMessage).toHaveBeenCalledWith({ type: 'contacts-updated', url: API_URL });
+
+        const third = worker.dispatch('fetch', { request: apiRequest() });
+        expect(await (await third.response).json()).toHaveLength(2);
+    });
+
+    it('no avisa si la lista renovada es la misma', async () => {
+        const worker = loadWorker(vi.fn(async () => jsonResponse([{ id: '1' }])));
+
+        await worker.dispatch('fetch', { request: apiRequest() }).response;
+        const again = worker.dispatch('fetch', { request: apiRequest() });
+        await again.response;
+        await again.done();
+
+        expect(worker.client.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('una escritura descarta la lista guardada y la envía a la red', async () => {
+        const fetch = vi.fn(async () => jsonResponse([]));
+        const worker = loadWorker(fetch);
+        await worker.dispatch('fetch', { request: apiRequest() }).response;
+
+        const write = worker.dispatch('fetch', { request: apiRequest('DELETE', `${API_URL}?id=1`) });
+        expect((await write.response).ok).toBe(true);
+
+        expect(fetch.mock.calls.at(-1)[0].method).toBe('DELETE');
+        expect(worker.caches.stores.get('agenda-data').entries.size).toBe(0);
+    });
+
+    it('una renovación anterior a la escritura no vuelve a guardar la lista vieja', async () => {
+        let answerList = null;
+        const fetch = vi.fn(async (request) => {
+            if (request.method !== 'GET') return jsonResponse({ ok: true });
+            if (fetch.mock.calls.length === 1) return jsonResponse([{ id: '1' }]);
+            return new Promise(resolve => { answerList = () => resolve(jsonResponse([{ id: '1' }, { id: '2' }])); });
+        });
+        const worker = loadWorker(fetch);
+        await worker.dispatch('fetch', { request: apiRequest() }).response;
+
+        // La renovación sigue en curso mientras se escribe
+        const read = worker.dispatch('fetch', { request: apiRequest() });
+        await read.response;
+        await vi.waitFor(() => expect(answerList).not.toBeNull());
+        await worker.dispatch('fetch', { request: apiRequest('POST') }).response;
+
+        answerList();
+        await read.done();
+
+        expect(worker.caches.stores.get('agenda-data').entries.size).toBe(0);
+        expect(worker.client.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('no guarda ni intercepta las peticiones con sesión', async () => {
+        const fetch = vi.fn(async () => jsonResponse([]));
+        const worker = loadWorker(fetch);
+
+        const list = worker.dispatch('fetch', { request: apiRequest('GET', API_URL, { Authorization: 'Bearer abc' }) });
+        await list.done();
+
+        expect(list.response).toBeNull();
+        expect(fetch).not.toHaveBeenCalled();
+        expect(worker.caches.stores.has('agenda-data')).toBe(false);
+    });
+
+    it('al activarse borra las versiones anteriores y se activa cuando la página lo pide', async () => {
+        const worker = loadWorker(vi.fn());
+        await worker.caches.open('agenda-shell-v0');
+        await worker.caches.open('agenda-data');
+
+        await worker.dispatch('activate', {}).done();
+        expect([...worker.caches.stores.keys()]).toEqual(['agenda-data']);
+        expect(worker.self.clients.claim).toHaveBeenCalled();
+
+        worker.dispatch('message', { data: { type: 'skip-waiting' } });
+        expect(worker.self.skipWaiting).toHaveBeenCalled();
+    });
+});
+
+describe('Aviso de versión nueva', () => {
+    let ServiceWorkerManager;
+    let MessageHandler;
+
+    beforeEach(async () => {
+        loadPage();
+        vi.resetModules();
+        ({ ServiceWorkerManager } = await import('../fronted/js/pwa.js'));
+        const ui = await import('../fronted/js/ui.js');
+        ui.bindDom();
+        MessageHandler = ui.MessageHandler;
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function fakeRegistration(controller) {
+        const listeners = {};
+        const worker = {
+            state: 'installing',
+            postMessage: vi.fn(),
+            addEventListener: (type, listener) => { listeners[`worker:${type}`] = listener; }
+        };
+        vi.stubGlobal('navigator', { ...navigator, serviceWorker: { controller } });
+
+        return {
+            worker,
+            registration: {
+                waiting: null,
+                installing: worker,
+                addEventListener: (type, listener) => { listeners[type] = listener; }
+            },
+            install() {
+                listeners.updatefound();
+                worker.state = 'installed';
+                listeners['worker:statechange']();
+            }
+        };
+    }
+
+    it('ofrece actualizar y activa la versión en espera al aceptar', () => {
+        const { worker, registration, install } = fakeRegistration({});
+        ServiceWorkerManager.watch(registration);
+        install();
+
+        expect(messageText()).toContain('Hay una versión nueva');
+
+        // Los mensajes de la agenda no sustituyen el aviso
+        MessageHandler.showSuccess('2 contactos cargados');
+        MessageHandler.clear();
+        expect(messageText()).toContain('Hay una versión nueva');
+
+        document.querySelector('.message-action').click();
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: 'skip-waiting' });
+        expect(ServiceWorkerManager.isUpdating).toBe(true);
+    });
+
+    it('en la primera instalación solo informa de que funciona sin conexión', () => {
+        const { worker, registration, install } = fakeRegistration(null);
+        ServiceWorkerManager.watch(registration);
+        install();
+
+        expect(messageText()).toContain('sin conexión');
+        expect(document.querySelector('.message-action')).toBeNull();
+        expect(worker.postMessage).not.toHaveBeenCalled();
+    });
+});
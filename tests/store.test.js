@@ -0,0 +1,95 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Store, AgendaState } from '../fronted/js/state.js';
+import { createFakeApi, startApp, cardNames } from './helpers.js';
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('Store', () => {
+    it('mezcla los cambios y avisa con el estado nuevo y el anterior', () => {
+        const store = new Store({ count: 0, name: 'a' });
+        const listener = vi.fn();
+        store.subscribe(listener);
+
+        store.setState({ count: 1 });
+        store.setState(state => ({ count: state.count + 1 }));
+
+        expect(store.getState()).toEqual({ count: 2, name: 'a' });
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][1]).toEqual({ count: 1, name: 'a' });
+    });
+
+    it('deja de avisar después de darse de baja', () => {
+        const store = new Store({ count: 0 });
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe(listener);
+
+        unsubscribe();
+        store.setState({ count: 1 });
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('select solo avisa cuando cambia la parte elegida', () => {
+        const store = new Store({ contacts: [], query: '' });
+        const listener = vi.fn();
+        store.select(state => [state.contacts, state.query], listener);
+
+        store.setState({ other: true });
+        store.setState({ query: '' });
+        expect(listener).not.toHaveBeenCalled();
+
+        store.setState({ query: 'ana' });
+        expect(listener).toHaveBeenCalledWith([[], 'ana'], [[], ''], store.getState());
+    });
+});
+
+describe('AgendaState', () => {
+    it('añade a la lista los contactos pendientes de la bandeja de salida', () => {
+        const store = AgendaState.createStore({
+            contacts: [{ id: '1', nombre: 'Juan', apellido: 'Pérez' }],
+            outbox: [{ id: 'outbox-1', action: 'create', status: 'failed', error: 'Sin red', payload: { nombre: 'Ana', apellido: 'López' } }]
+        });
+
+        const contacts = AgendaState.displayContacts(store.getState());
+
+        expect(contacts.map(contact => contact.nombre)).toEqual(['Juan', 'Ana']);
+        expect(contacts[1]).toMatchObject({ id: 'outbox-1', pendingStatus: 'failed', syncError: 'Sin red' });
+    });
+
+    it('aplica búsqueda, favoritos y orden a los contactos visibles', () => {
+        const store = AgendaState.createStore({
+            contacts: [
+                { id: '1', nombre: 'Juan', apellido: 'Pérez', favorito: true },
+                { id: '2', nombre: 'Ana', apellido: 'López', favorito: true },
+                { id: '3', nombre: 'Pedro', apellido: 'Martínez', favorito: false }
+            ]
+        });
+
+        store.setState({ favoritesOnly: true });
+        expect(AgendaState.visibleContacts(store.getState()).map(contact => contact.nombre)).toEqual(['Ana', 'Juan']);
+        expect(AgendaState.isFilterActive(store.getState())).toBe(true);
+
+        store.setState({ favoritesOnly: false, searchQuery: 'ped' });
+        expect(AgendaState.visibleContacts(store.getState()).map(contact => contact.nombre)).toEqual(['Pedro']);
+    });
+});
+
+describe('Interfaz suscrita al almacén', () => {
+    it('repinta la lista cuando cambia el estado, sin llamadas a la interfaz', async () => {
+        const api = createFakeApi([
+            { id: '1', nombre: 'Juan', apellido: 'Pérez', telefono: '8091234567' },
+            { id: '2', nombre: 'Ana', apellido: 'López', telefono: '8297654321' }
+        ]);
+        const { agenda } = await startApp(api);
+
+        agenda.store.setState({ searchQuery: 'juan' });
+        expect(cardNames()).toEqual(['Juan Pérez']);
+        expect(document.getElementById('contact-count').textContent).toBe('1 de 2 contactos');
+
+        agenda.store.setState({ loadError: new Error('Fallo de prueba') });
+        expect(document.querySelector('.error-state p').textContent).toBe('Fallo de prueba');
+    });
+});
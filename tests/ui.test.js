@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createFakeApi, startApp, cardNames, messageText } from './helpers.js';
+
+const CONTACTS = [
+    { id: '1', nombre: 'Juan', apellido: 'Pérez', telefono: '8091234567' },
+    { id: '2', nombre: 'Ana', apellido: 'López', telefono: '+34612345678' }
+];
+
+describe('UIManager', () => {
+    let app;
+
+    beforeEach(async () => {
+        ({ app } = await startApp(createFakeApi(CONTACTS)));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('pinta una tarjeta por contacto, agrupadas y ordenadas', () => {
+        expect(cardNames()).toEqual(['Ana López', 'Juan Pérez']);
+        expect([...document.querySelectorAll('.group-header')].map(header => header.dataset.group)).toEqual(['A', 'J']);
+        expect(document.getElementById('contact-count').textContent).toContain('2');
+    });
+
+    it('muestra los teléfonos formateados y marca con E.164', () => {
+        const card = document.querySelector('[data-key="contact:2#0"]');
+        expect(card.querySelector('.contact-phone').textContent).toContain('+34 612 345 678');
+        expect(card.querySelector('[data-action="call"]').dataset.phone).toBe('+34612345678');
+    });
+
+    it('escapa los datos del contacto en la tarjeta', () => {
+        const card = app.UIManager.createContactCard({
+            id: '9',
+            nombre: '<img src=x onerror=alert(1)>',
+            apellido: '"Comillas"',
+            telefono: "809'1234567",
+            etiquetas: ['<b>vip</b>']
+        });
+        const element = document.createElement('div');
+        app.SafeHtml.render(element, card);
+
+        expect(element.querySelector('img')).toBeNull();
+        expect(element.querySelector('b')).toBeNull();
+        expect(element.querySelector('.contact-name').textContent.trim()).toBe('<img src=x onerror=alert(1)> "Comillas"');
+        expect(element.querySelector('[data-action="call"]').dataset.phone).toBe("809'1234567");
+    });
+
+    it('no tiene manejadores en línea', () => {
+        expect(document.querySelectorAll('[onclick]')).toHaveLength(0);
+    });
+
+    it('showError escapa el mensaje y ofrece reintentar', () => {
+        app.UIManager.showError('<script>x</script>', 'Título');
+        const state = document.querySelector('.error-state');
+
+        expect(state.querySelector('h3').textContent).toBe('Título');
+        expect(state.querySelector('p').textContent).toBe('<script>x</script>');
+        expect(state.querySelector('script')).toBeNull();
+        expect(state.querySelector('[data-action="reload"]')).not.toBeNull();
+    });
+
+    it('MessageHandler escapa el texto y permite fragmentos html``', () => {
+        app.MessageHandler.showError('<i>hola</i>');
+        expect(document.querySelector('.message i')).toBeNull();
+        expect(messageText()).toBe('❌ <i>hola</i>');
+
+        app.MessageHandler.showInfo(app.html`uno<br>dos`);
+        expect(document.querySelectorAll('.message br')).toHaveLength(1);
+    });
+
+    it('muestra el estado sin resultados al buscar', () => {
+        app.UIManager.displayContacts([], 'zzz');
+        expect(document.querySelector('.empty-state').textContent).toContain('Ningún contacto coincide con "zzz"');
+    });
+});
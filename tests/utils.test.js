@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { Utils, SafeHtml, html } from '../fronted/script.js';
+
+describe('Utils.formatPhone', () => {
+    it('formatea números nacionales de 10 y 11 dígitos igual', () => {
+        expect(Utils.formatPhone('8091234567')).toBe('(809) 123-4567');
+        expect(Utils.formatPhone('18091234567')).toBe('(809) 123-4567');
+        expect(Utils.formatPhone('+18091234567')).toBe('(809) 123-4567');
+    });
+
+    it('muestra el prefijo de los números extranjeros', () => {
+        expect(Utils.formatPhone('+34612345678')).toBe('+34 612 345 678');
+        expect(Utils.formatPhone('0034612345678')).toBe('+34 612 345 678');
+    });
+
+    it('deja sin tocar lo que no reconoce y no falla con valores vacíos', () => {
+        expect(Utils.formatPhone('809123456')).toBe('809123456');
+        expect(Utils.formatPhone('')).toBe('');
+        expect(Utils.formatPhone(undefined)).toBe('');
+    });
+});
+
+describe('Utils.getInitials', () => {
+    it('usa las dos primeras palabras', () => {
+        expect(Utils.getInitials('María José de la Cruz')).toBe('MJ');
+        expect(Utils.getInitials('Ángel Núñez')).toBe('ÁN');
+    });
+
+    it('funciona con un solo nombre y con espacios repetidos', () => {
+        expect(Utils.getInitials('juan')).toBe('J');
+        expect(Utils.getInitials('  Ana   López ')).toBe('AL');
+    });
+
+    it('devuelve ?? sin nombre', () => {
+        expect(Utils.getInitials('')).toBe('??');
+        expect(Utils.getInitials('   ')).toBe('??');
+        expect(Utils.getInitials(null)).toBe('??');
+    });
+});
+
+describe('html``', () => {
+    it('escapa los valores interpolados', () => {
+        const name = '<img src=x onerror=alert(1)>';
+        expect(String(html`<p title="${'"x"'}">${name}</p>`))
+            .toBe('<p title="&quot;x&quot;">&lt;img src=x onerror=alert(1)&gt;</p>');
+    });
+
+    it('no vuelve a escapar fragmentos y une las listas', () => {
+        const items = ['a&b', 'c'].map(item => html`<li>${item}</li>`);
+        expect(String(html`<ul>${items}</ul>`)).toBe('<ul><li>a&amp;b</li><li>c</li></ul>');
+    });
+
+    it('omite null y undefined pero conserva false y 0', () => {
+        expect(String(html`${null}${undefined}|${false}|${0}`)).toBe('|false|0');
+    });
+
+    it('SafeHtml.render escapa el texto plano', () => {
+        const element = document.createElement('div');
+        SafeHtml.render(element, '<b>hola</b>');
+        expect(element.children).toHaveLength(0);
+        expect(element.textContent).toBe('<b>hola</b>');
+    });
+});
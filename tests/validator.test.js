@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { Validator } from '../fronted/script.js';
+
+describe('Validator.isValidName', () => {
+    it('acepta acentos, eñes y nombres compuestos', () => {
+        expect(Validator.isValidName('José')).toBe(true);
+        expect(Validator.isValidName('Ñoño')).toBe(true);
+        expect(Validator.isValidName('María José')).toBe(true);
+        expect(Validator.isValidName("O'Brien")).toBe(true);
+        expect(Validator.isValidName('Jean-Luc')).toBe(true);
+    });
+
+    it('acepta letras de otros idiomas', () => {
+        expect(Validator.isValidName('Zoë')).toBe(true);
+        expect(Validator.isValidName('François')).toBe(true);
+    });
+
+    it('rechaza nombres de una letra, con dígitos o sin letras', () => {
+        expect(Validator.isValidName('A')).toBe(false);
+        expect(Validator.isValidName(' A ')).toBe(false);
+        expect(Validator.isValidName('Juan2')).toBe(false);
+        expect(Validator.isValidName("--'")).toBe(false);
+        expect(Validator.isValidName('')).toBe(false);
+    });
+
+    it('respeta la longitud máxima compartida con el esquema', () => {
+        expect(Validator.isValidName('a'.repeat(Validator.MAX_LENGTHS.nombre))).toBe(true);
+        expect(Validator.isValidName('a'.repeat(Validator.MAX_LENGTHS.nombre + 1))).toBe(false);
+    });
+});
+
+describe('Validator.isValidPhone', () => {
+    it('acepta números dominicanos de 10 dígitos y con el prefijo 1', () => {
+        expect(Validator.isValidPhone('8091234567')).toBe(true);
+        expect(Validator.isValidPhone('18091234567')).toBe(true);
+        expect(Validator.isValidPhone('+1 (809) 123-4567')).toBe(true);
+    });
+
+    it('rechaza números incompletos o demasiado largos', () => {
+        expect(Validator.isValidPhone('809123456')).toBe(false);
+        expect(Validator.isValidPhone('1809123456789')).toBe(false);
+        expect(Validator.isValidPhone('')).toBe(false);
+    });
+
+    it('valida según el país indicado', () => {
+        expect(Validator.isValidPhone('612345678', 'ES')).toBe(true);
+        expect(Validator.isValidPhone('+34612345678')).toBe(true);
+    });
+});
+
+describe('Validator.isValidBirthday', () => {
+    it('acepta fechas pasadas y rechaza las futuras o anteriores a 1900', () => {
+        expect(Validator.isValidBirthday('1990-06-15')).toBe(true);
+        expect(Validator.isValidBirthday('2000-02-29')).toBe(true);
+        expect(Validator.isValidBirthday('2999-01-01')).toBe(false);
+        expect(Validator.isValidBirthday('1899-12-31')).toBe(false);
+    });
+
+    it('rechaza fechas que no existen', () => {
+        expect(Validator.isValidBirthday('2023-02-30')).toBe(false);
+        expect(Validator.isValidBirthday('2023-02-29')).toBe(false);
+        expect(Validator.isValidBirthday('2023-13-01')).toBe(false);
+        expect(Validator.isValidBirthday('2023-04-31')).toBe(false);
+    });
+
+    it('acepta el 1 de enero en zonas horarias por delante de UTC', () => {
+        const previous = process.env.TZ;
+        try {
+            ['Europe/Madrid', 'Asia/Tokyo'].forEach(zone => {
+                process.env.TZ = zone;
+                expect(new Date(2000, 0, 1).getTimezoneOffset()).toBeLessThan(0);
+                expect(Validator.isValidBirthday('2000-01-01')).toBe(true);
+            });
+        } finally {
+            if (previous === undefined) delete process.env.TZ;
+            else process.env.TZ = previous;
+        }
+    });
+});
+
+describe('Validator.validateContact', () => {
+    const valid = { nombre: 'Ana', apellido: 'López', telefono: '8091234567' };
+
+    it('devuelve válido sin errores para un contacto correcto', () => {
+        expect(Validator.validateContact(valid)).toEqual({ isValid: true, errors: [], fieldErrors: {} });
+    });
+
+    it('indica el campo de cada error', () => {
+        const result = Validator.validateContact({
+            ...valid,
+            nombre: '',
+            emails: ['bien@ejemplo.com', 'mal'],
+            cumpleanos: '2999-01-01'
+        });
+
+        expect(result.isValid).toBe(false);
+        expect(Object.keys(result.fieldErrors).sort()).toEqual(['cumpleanos', 'emails.1', 'nombre']);
+        expect(result.errors).toHaveLength(3);
+    });
+
+    it('exige el teléfono principal', () => {
+        const result = Validator.validateContact({ ...valid, telefono: '' });
+        expect(result.fieldErrors['telefonos.0']).toBe('El teléfono es obligatorio');
+    });
+});
+
+describe('Validator.sanitizeContact', () => {
+    it('recorta espacios y guarda los teléfonos en E.164', () => {
+        const contact = Validator.sanitizeContact({
+            nombre: '  Ana   María ',
+            apellido: 'López ',
+            telefono: '(809) 123-4567',
+            emails: [' ANA@Ejemplo.com ']
+        });
+
+        expect(contact.nombre).toBe('Ana María');
+        expect(contact.apellido).toBe('López');
+        expect(contact.telefono).toBe('+18091234567');
+        expect(contact.emails).toEqual(['ana@ejemplo.com']);
+    });
+});
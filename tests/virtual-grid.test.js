@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createFakeApi, startApp, cardNames } from './helpers.js';
+
+const NAMES = ['Ana', 'Bruno', 'Carla', 'Diego', 'Elena', 'Marta', 'Pedro', 'Zoe'];
+
+function manyContacts(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: String(index + 1),
+        nombre: NAMES[index % NAMES.length],
+        apellido: `Apellido ${index}`,
+        telefono: String(8090000000 + index)
+    }));
+}
+
+describe('Lista virtual de contactos', () => {
+    let app;
+    let agenda;
+
+    beforeEach(async () => {
+        ({ app, agenda } = await startApp(createFakeApi(manyContacts(10000))));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('solo mantiene en el DOM las tarjetas cercanas a la zona visible', () => {
+        const cards = document.querySelectorAll('.contact-card');
+
+        expect(agenda.contacts).toHaveLength(10000);
+        expect(document.getElementById('contact-count').textContent).toBe('10.000 contactos');
+        expect(cards.length).toBeGreaterThan(0);
+        expect(cards.length).toBeLessThan(50);
+        expect(cardNames()[0]).toBe('Ana Apellido 0');
+    });
+
+    it('reserva el alto del resto de la lista y pinta otras tarjetas al desplazarse', () => {
+        const grid = document.querySelector('.contacts-grid');
+        expect(parseFloat(grid.style.paddingBottom)).toBeGreaterThan(100000);
+
+        grid.scrollTop = 200000;
+        app.UIManager.contactGrid.update();
+
+        expect(parseFloat(grid.style.paddingTop)).toBeGreaterThan(0);
+        expect(cardNames()).not.toContain('Ana Apellido 0');
+        expect(document.querySelectorAll('.contact-card').length).toBeLessThan(50);
+    });
+
+    it('limita la animación de entrada a las primeras tarjetas', () => {
+        const cards = [...document.querySelectorAll('.contact-card')];
+        const animated = cards.filter(card => card.style.animationDelay);
+
+        expect(animated.length).toBeLessThanOrEqual(app.VirtualGrid.MAX_ANIMATED);
+        expect(Math.max(...animated.map(card => parseFloat(card.style.animationDelay)))).toBeLessThan(1);
+        expect(cards.slice(animated.length).every(card => card.classList.contains('no-animation'))).toBe(true);
+    });
+
+    it('el índice A–Z lleva a un grupo que aún no estaba pintado', () => {
+        expect(document.querySelector('.group-header[data-group="Z"]')).toBeNull();
+
+        app.UIManager.scrollToGroup('Z');
+
+        expect(document.querySelector('.group-header[data-group="Z"]')).not.toBeNull();
+        expect(cardNames().some(name => name.startsWith('Zoe '))).toBe(true);
+    });
+
+    it('buscar filtra la lista ya ordenada sin volver a ordenarla', () => {
+        const sort = vi.spyOn(app.ContactSorter, 'sort');
+
+        agenda.searchContacts('zoe');
+
+        expect(sort).not.toHaveBeenCalled();
+        expect(cardNames().every(name => name.startsWith('Zoe '))).toBe(true);
+        expect(document.getElementById('contact-count').textContent).toBe('1250 de 10.000 contactos');
+    });
+});